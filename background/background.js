@@ -5,6 +5,36 @@
 
 console.log('Kalshi American Odds background service worker loaded');
 
+// Content scripts keep the combo slip in session storage, which only extension pages can reach by default.
+// Browsers without setAccessLevel (Firefox) keep the slip in local storage instead
+chrome.storage.session?.setAccessLevel?.({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' })?.catch((error) => {
+  console.error('Failed to open session storage to content scripts:', error);
+});
+
+// Default values for settings stored in chrome.storage.sync
+const defaultSettings = {
+  displayMode: 'rawAmerican',
+  devigMethod: 'multiplicative',
+  journalEnabled: false,
+  americanPrecision: '1',
+  decimalPrecision: '2',
+  fractionalStyle: 'ladder',
+  afterFeeQuantity: '1',
+  afterFeeType: 'taker'
+};
+
+// Valid setting values for validation
+const validSettingValues = {
+  displayMode: ['percent', 'rawAmerican', 'fractional', 'decimal', 'fairAmerican', 'hongKong', 'malay', 'indonesian', 'probability', 'afterFeeAmerican'],
+  devigMethod: ['multiplicative', 'additive', 'power', 'shin'],
+  journalEnabled: [true, false],
+  americanPrecision: ['5', '1', '0.1'],
+  decimalPrecision: ['2', '3'],
+  fractionalStyle: ['ladder', 'exact'],
+  afterFeeQuantity: ['1', '10', '100'],
+  afterFeeType: ['taker', 'maker']
+};
+
 /**
  * Handle extension installation
  */
@@ -13,10 +43,6 @@ chrome.runtime.onInstalled.addListener((details) => {
   
   if (details.reason === 'install') {
     // Set default settings on first install
-    const defaultSettings = {
-      displayMode: 'rawAmerican'
-    };
-    
     chrome.storage.sync.set(defaultSettings).then(() => {
       console.log('Default settings initialized:', defaultSettings);
     }).catch((error) => {
@@ -56,19 +82,122 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true, isValid });
       break;
       
+    case 'JOURNAL_ADD_ENTRY':
+      // Append a ticket snapshot to the trade journal
+      addJournalEntry(message.entry).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to add journal entry:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'ALERT_CREATE':
+      // Store a price alert created from a market page
+      createPriceAlert(message.alert).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to create price alert:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'PRICES_OBSERVED':
+      // Check alerts and refresh watchlist prices from what a content script saw
+      const observations = firstObservationPerTicker(message.observations);
+      Promise.all([
+        evaluatePriceAlerts(observations),
+        updateWatchlistPrices(observations)
+      ]).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to process observed prices:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'WATCHLIST_TOGGLE':
+      // Star or unstar a market
+      toggleWatchlistItem(message.item).then((watched) => {
+        sendResponse({ success: true, watched });
+      }).catch((error) => {
+        console.error('Failed to update watchlist:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'BOOK_LINE_SAVE':
+      // Store a sportsbook line entered on a market page
+      saveBookLine(message.ticker, message.line).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to save sportsbook line:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'BOOK_LINE_DELETE':
+      // Remove a sportsbook line
+      deleteBookLine(message.ticker, message.id).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to delete sportsbook line:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'FEE_CALIBRATION_RECORD':
+      // Compare an estimated fee with the fee the ticket then showed
+      recordFeeCalibration(message.record).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to record fee calibration:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'FEE_CALIBRATION_RESET':
+      // Drop a series' calibration so estimates use the schedule again
+      resetFeeCalibration(message.seriesTicker).then(() => {
+        sendResponse({ success: true });
+      }).catch((error) => {
+        console.error('Failed to reset fee calibration:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
+    case 'IMPORT_DATA':
+      // Validate and store records parsed from an export file
+      importUserData(message.records, message.mode, { dryRun: message.dryRun === true }).then((result) => {
+        sendResponse({ success: true, ...result });
+      }).catch((error) => {
+        console.error('Failed to import data:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Keep message channel open for async response
+      
     default:
       console.log('Unknown message type:', message.type);
   }
 });
 
+/**
+ * Check a single setting value against its allowed values
+ * displayMode may also be an ordered list of badge formats (no duplicates, no 'percent')
+ */
+function isAllowedSettingValue(key, value) {
+  if (key === 'displayMode' && Array.isArray(value)) {
+    return value.length > 0 &&
+      new Set(value).size === value.length &&
+      value.every(mode => mode !== 'percent' && validSettingValues.displayMode.includes(mode));
+  }
+  return validSettingValues[key].includes(value);
+}
+
 /**
  * Validate settings object
  */
 function validateSettings(settings) {
-  const validValues = {
-    displayMode: ['percent', 'rawAmerican', 'fractional', 'decimal']
-  };
-
   if (!settings || typeof settings !== 'object') {
     return false;
   }
@@ -78,7 +207,7 @@ function validateSettings(settings) {
       // Ignore legacy settings that are no longer used
       console.log(`Ignoring legacy setting: ${key}`);
       continue;
-    } else if (validValues[key] && !validValues[key].includes(value)) {
+    } else if (validSettingValues[key] && !isAllowedSettingValue(key, value)) {
       console.error(`Invalid ${key} value:`, value);
       return false;
     }
@@ -87,6 +216,731 @@ function validateSettings(settings) {
   return true;
 }
 
+// Oldest journal entries are dropped beyond this many to stay within storage quota
+const MAX_JOURNAL_ENTRIES = 2000;
+
+/**
+ * Append an entry to the trade journal in local storage
+ */
+async function addJournalEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !entry.id) {
+    throw new Error('Invalid journal entry');
+  }
+  
+  const { tradeJournal = [] } = await chrome.storage.local.get({ tradeJournal: [] });
+  const updatedJournal = [...tradeJournal, entry].slice(-MAX_JOURNAL_ENTRIES);
+  
+  await chrome.storage.local.set({ tradeJournal: updatedJournal });
+  console.log('Journal entry added:', entry.id);
+}
+
+/**
+ * Check that a value is a finite number within [min, max]
+ */
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate one imported record
+ * @returns {string|null} Error message, or null when the record is valid
+ */
+function validateImportRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return 'Malformed record';
+  }
+  
+  const { type, key, value } = record;
+  
+  if (typeof key !== 'string' || key.trim() === '') {
+    return 'Missing key';
+  }
+  
+  switch (type) {
+    case 'setting':
+      if (!(key in validSettingValues)) {
+        return `Unknown setting "${key}"`;
+      }
+      if (!validateSettings({ [key]: value })) {
+        return `Invalid value "${value}" for ${key}`;
+      }
+      return null;
+      
+    case 'estimate':
+      if (!value || !isNumberInRange(value.probability, 0, 1)) {
+        return 'Probability must be between 0 and 1';
+      }
+      return null;
+      
+    case 'feeOverride':
+      if (!value || !isNumberInRange(value.taker, 0, 1) || !isNumberInRange(value.maker, 0, 1)) {
+        return 'Fee rates must be between 0 and 1';
+      }
+      return null;
+      
+    case 'watchlist':
+      if (!value || typeof value !== 'object') {
+        return 'Missing watchlist item';
+      }
+      if (value.lastPrice !== null && value.lastPrice !== undefined && !isNumberInRange(value.lastPrice, 0, 1)) {
+        return 'Last price must be between 0 and 1';
+      }
+      return null;
+      
+    case 'journal':
+      if (!value || typeof value !== 'object') {
+        return 'Missing journal entry';
+      }
+      if (!isNumberInRange(value.timestamp, 0, Number.MAX_SAFE_INTEGER)) {
+        return 'Invalid timestamp';
+      }
+      if (!['YES', 'NO'].includes(String(value.side).toUpperCase())) {
+        return `Invalid side "${value.side}"`;
+      }
+      if (!isNumberInRange(value.price, 0.01, 0.99)) {
+        return 'Price must be between 0.01 and 0.99';
+      }
+      if (!Number.isInteger(value.quantity) || value.quantity <= 0) {
+        return 'Quantity must be a positive whole number';
+      }
+      for (const field of ['totalFee', 'perContractFee', 'afterFeeOdds']) {
+        if (value[field] !== null && value[field] !== undefined && !isNumberInRange(value[field], -Infinity, Infinity)) {
+          return `Invalid ${field}`;
+        }
+      }
+      return null;
+      
+    case 'alert':
+      if (!value || typeof value !== 'object' || typeof value.ticker !== 'string' || !value.ticker) {
+        return 'Missing alert ticker';
+      }
+      if (!isNumberInRange(value.threshold, 0.01, 0.99) || !['above', 'below'].includes(value.direction)) {
+        return 'Alert needs a threshold between 0.01 and 0.99 and a direction';
+      }
+      if (!['active', 'triggered'].includes(value.status)) {
+        return `Invalid alert status "${value.status}"`;
+      }
+      return null;
+      
+    case 'bookLine':
+      if (!value || typeof value !== 'object' || typeof value.ticker !== 'string' || !value.ticker) {
+        return 'Missing sportsbook line ticker';
+      }
+      if (!isNumberInRange(Math.abs(value.yesOdds), 100, Infinity) || !isNumberInRange(Math.abs(value.noOdds), 100, Infinity)) {
+        return 'Sportsbook odds must be American odds';
+      }
+      if (!isNumberInRange(value.expiresAt, 0, Number.MAX_SAFE_INTEGER)) {
+        return 'Invalid expiry';
+      }
+      return null;
+      
+    case 'feeCalibration':
+      return isValidFeeCalibrationRecord(value) ? null : 'Invalid fee calibration record';
+      
+    case 'calibratedRate':
+      if (!value || typeof value !== 'object' || (value.taker === undefined && value.maker === undefined)) {
+        return 'Missing calibrated rate';
+      }
+      for (const feeType of ['taker', 'maker']) {
+        if (value[feeType] !== undefined && !isNumberInRange(value[feeType], 0, 1)) {
+          return 'Fee rates must be between 0 and 1';
+        }
+      }
+      return null;
+      
+    case 'preference':
+      return validateImportPreference(key, value);
+      
+    default:
+      return `Unknown record type "${type}"`;
+  }
+}
+
+/**
+ * Validate a single-value local preference record
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function validateImportPreference(key, value) {
+  switch (key) {
+    case 'orderBudget':
+      return value === null || isNumberInRange(value, 0.01, Infinity) ? null : 'Order budget must be a positive amount';
+      
+    case 'comparisonRate':
+      return value === null || isNumberInRange(value, 0, 100) ? null : 'Interest rate must be between 0 and 100';
+      
+    case 'kellyPreferences':
+      if (value === null) return null;
+      if (!value || typeof value !== 'object' || !isNumberInRange(value.fraction, 0, 1)) {
+        return 'Kelly fraction must be between 0 and 1';
+      }
+      if (value.bankroll !== null && value.bankroll !== undefined && !isNumberInRange(value.bankroll, 0, Infinity)) {
+        return 'Kelly bankroll must be a positive amount';
+      }
+      return null;
+      
+    default:
+      return `Unknown preference "${key}"`;
+  }
+}
+
+/**
+ * Import validated records into storage.
+ * Merge mode updates existing data by key; replace mode discards existing data
+ * for each kind of record present in the import (settings reset to defaults first).
+ * @param {Array} records - Normalized records: { source, type, key, value }
+ * @param {string} mode - 'merge' | 'replace'
+ * @param {Object} options - { dryRun: validate only, e.g. to check that an export re-imports cleanly }
+ * @returns {Promise<Object>} { imported, skipped, errors: [{ source, message }] }
+ */
+async function importUserData(records, mode = 'merge', { dryRun = false } = {}) {
+  if (!Array.isArray(records)) {
+    throw new Error('No records to import');
+  }
+  
+  const replace = mode === 'replace';
+  const errors = [];
+  const accepted = {
+    setting: [], estimate: [], feeOverride: [], watchlist: [], journal: [],
+    alert: [], bookLine: [], feeCalibration: [], calibratedRate: [], preference: []
+  };
+  
+  records.forEach((record, index) => {
+    const error = validateImportRecord(record);
+    if (error) {
+      errors.push({ source: record?.source || `Record ${index + 1}`, message: error });
+    } else {
+      accepted[record.type].push(record);
+    }
+  });
+  
+  if (dryRun) {
+    const valid = Object.values(accepted).reduce((total, list) => total + list.length, 0);
+    return { imported: 0, valid, skipped: errors.length, errors };
+  }
+  
+  await enqueueStorageUpdate(() => writeImportedRecords(accepted, replace));
+  
+  const imported = Object.values(accepted).reduce((total, list) => total + list.length, 0);
+  console.log(`Imported ${imported} records (${mode}), ${errors.length} rejected`);
+  
+  return { imported, skipped: errors.length, errors };
+}
+
+/**
+ * Write validated import records, grouped by type, to storage
+ */
+async function writeImportedRecords(accepted, replace) {
+  const local = await chrome.storage.local.get({
+    marketEstimates: {}, feeOverrides: {}, watchlist: {}, tradeJournal: [],
+    priceAlerts: [], bookLines: {}, feeCalibration: [], calibratedFeeRates: {}
+  });
+  const localUpdates = {};
+  
+  if (accepted.estimate.length > 0) {
+    const marketEstimates = replace ? {} : { ...local.marketEstimates };
+    accepted.estimate.forEach(({ key, value }) => {
+      marketEstimates[key.trim().toUpperCase()] = { probability: value.probability, updatedAt: value.updatedAt || Date.now() };
+    });
+    localUpdates.marketEstimates = marketEstimates;
+  }
+  
+  if (accepted.feeOverride.length > 0) {
+    const feeOverrides = replace ? {} : { ...local.feeOverrides };
+    accepted.feeOverride.forEach(({ key, value }) => {
+      feeOverrides[key.trim().toUpperCase()] = { taker: value.taker, maker: value.maker, updatedAt: value.updatedAt || Date.now() };
+    });
+    localUpdates.feeOverrides = feeOverrides;
+  }
+  
+  if (accepted.watchlist.length > 0) {
+    const watchlist = replace ? {} : { ...local.watchlist };
+    accepted.watchlist.forEach(({ key, value }) => {
+      const ticker = key.trim().toUpperCase();
+      watchlist[ticker] = {
+        ticker,
+        title: value.title || ticker,
+        url: value.url || null,
+        addedAt: value.addedAt || Date.now(),
+        lastPrice: value.lastPrice ?? null,
+        lastSeenAt: value.lastSeenAt ?? null
+      };
+    });
+    localUpdates.watchlist = watchlist;
+  }
+  
+  if (accepted.journal.length > 0) {
+    const journalById = new Map(replace ? [] : local.tradeJournal.map(entry => [entry.id, entry]));
+    accepted.journal.forEach(({ key, value }) => {
+      journalById.set(key, { ...value, id: key, side: value.side.toUpperCase() });
+    });
+    localUpdates.tradeJournal = [...journalById.values()]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-MAX_JOURNAL_ENTRIES);
+  }
+  
+  if (accepted.alert.length > 0) {
+    const alertsById = new Map(replace ? [] : local.priceAlerts.map(alert => [alert.id, alert]));
+    accepted.alert.forEach(({ key, value }) => {
+      alertsById.set(key, { triggeredAt: null, ...value, id: key, ticker: value.ticker.toUpperCase() });
+    });
+    localUpdates.priceAlerts = [...alertsById.values()];
+  }
+  
+  if (accepted.bookLine.length > 0) {
+    const bookLines = replace ? {} : pruneBookLines(local.bookLines);
+    accepted.bookLine.forEach(({ key, value }) => {
+      const { ticker, ...line } = value;
+      const marketTicker = ticker.toUpperCase();
+      const others = (bookLines[marketTicker] || []).filter(existing => existing.id !== key);
+      bookLines[marketTicker] = [...others, { ...line, id: key, book: String(line.book || 'Sportsbook').slice(0, 40) }];
+    });
+    localUpdates.bookLines = pruneBookLines(bookLines);
+  }
+  
+  if (accepted.feeCalibration.length > 0) {
+    const recordKey = (record) => `${record.seriesTicker}:${record.feeType}:${record.recordedAt}`;
+    const recordsByKey = new Map(replace ? [] : local.feeCalibration.map(record => [recordKey(record), record]));
+    accepted.feeCalibration.forEach(({ value }) => {
+      const record = { ...value, seriesTicker: value.seriesTicker.toUpperCase() };
+      recordsByKey.set(recordKey(record), record);
+    });
+    localUpdates.feeCalibration = [...recordsByKey.values()]
+      .sort((a, b) => (a.recordedAt || 0) - (b.recordedAt || 0))
+      .slice(-MAX_FEE_CALIBRATION_RECORDS);
+  }
+  
+  if (accepted.calibratedRate.length > 0) {
+    const calibratedFeeRates = replace ? {} : { ...local.calibratedFeeRates };
+    accepted.calibratedRate.forEach(({ key, value }) => {
+      calibratedFeeRates[key.trim().toUpperCase()] = value;
+    });
+    localUpdates.calibratedFeeRates = calibratedFeeRates;
+  }
+  
+  accepted.preference.forEach(({ key, value }) => {
+    localUpdates[key] = value;
+  });
+  
+  if (Object.keys(localUpdates).length > 0) {
+    await chrome.storage.local.set(localUpdates);
+  }
+  
+  if (accepted.setting.length > 0) {
+    const importedSettings = Object.fromEntries(accepted.setting.map(({ key, value }) => [key, value]));
+    await chrome.storage.sync.set(replace ? { ...defaultSettings, ...importedSettings } : importedSettings);
+  }
+}
+
+// Alerts, the watchlist and sportsbook lines are read-modify-written by several tabs at once; updates
+// run one at a time so a single crossing can't be seen as untriggered twice
+let storageUpdateQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write of local storage after any in-flight update finishes
+ */
+function enqueueStorageUpdate(update) {
+  const run = storageUpdateQueue.then(update);
+  storageUpdateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Convert a YES price to signed American odds text
+ */
+function formatPriceAsAmerican(price) {
+  if (!(price > 0 && price < 1)) return '';
+  const odds = price >= 0.5 ? -(price / (1 - price)) * 100 : ((1 - price) / price) * 100;
+  return odds > 0 ? `+${Math.round(odds)}` : `${Math.round(odds)}`;
+}
+
+/**
+ * Store a new price alert
+ */
+async function createPriceAlert(alert) {
+  if (!alert || typeof alert !== 'object' || !alert.id || !alert.ticker) {
+    throw new Error('Invalid alert');
+  }
+  if (!isNumberInRange(alert.threshold, 0.01, 0.99) || !['above', 'below'].includes(alert.direction)) {
+    throw new Error('Invalid alert threshold');
+  }
+  
+  await enqueueStorageUpdate(async () => {
+    const { priceAlerts = [] } = await chrome.storage.local.get({ priceAlerts: [] });
+    await chrome.storage.local.set({ priceAlerts: [...priceAlerts, { ...alert, status: 'active', triggeredAt: null }] });
+  });
+  
+  console.log('Price alert created:', alert.ticker, alert.direction, alert.threshold);
+}
+
+/**
+ * Check whether a price is on the triggering side of an alert's threshold
+ */
+function isAlertThresholdReached(alert, price) {
+  return alert.direction === 'above' ? price >= alert.threshold : price <= alert.threshold;
+}
+
+/**
+ * Keep one observation per ticker from a batch, the first one sent
+ * @param {Array} observations - [{ ticker, price, observedAt }]
+ * @returns {Array} Observations with unique tickers
+ */
+function firstObservationPerTicker(observations) {
+  if (!Array.isArray(observations)) return [];
+  
+  const seen = new Set();
+  return observations.filter(observation => {
+    if (!observation?.ticker || seen.has(observation.ticker)) return false;
+    seen.add(observation.ticker);
+    return true;
+  });
+}
+
+/**
+ * Fire alerts whose threshold was crossed by newly observed prices.
+ * An alert fires only when the previous price was on the other side of the
+ * threshold, then stays triggered until re-armed from the popup.
+ * @param {Array} observations - [{ ticker, price, observedAt }]
+ */
+async function evaluatePriceAlerts(observations) {
+  if (!Array.isArray(observations) || observations.length === 0) return;
+  
+  const pricesByTicker = new Map(
+    observations
+      .filter(observation => observation?.ticker && isNumberInRange(observation.price, 0, 1))
+      .map(observation => [observation.ticker, observation])
+  );
+  
+  const triggered = await enqueueStorageUpdate(async () => {
+    const { priceAlerts = [] } = await chrome.storage.local.get({ priceAlerts: [] });
+    const fired = [];
+    let changed = false;
+    
+    const updatedAlerts = priceAlerts.map(alert => {
+      const observation = pricesByTicker.get(alert.ticker);
+      if (alert.status !== 'active' || !observation || observation.price === alert.lastPrice) {
+        return alert;
+      }
+      
+      changed = true;
+      const crossed = typeof alert.lastPrice === 'number' &&
+        !isAlertThresholdReached(alert, alert.lastPrice) &&
+        isAlertThresholdReached(alert, observation.price);
+      
+      if (!crossed) {
+        return { ...alert, lastPrice: observation.price, lastSeenAt: observation.observedAt };
+      }
+      
+      const firedAlert = {
+        ...alert,
+        status: 'triggered',
+        lastPrice: observation.price,
+        lastSeenAt: observation.observedAt,
+        triggeredAt: Date.now(),
+        triggerPrice: observation.price
+      };
+      fired.push(firedAlert);
+      return firedAlert;
+    });
+    
+    if (changed) {
+      await chrome.storage.local.set({ priceAlerts: updatedAlerts });
+    }
+    
+    return fired;
+  });
+  
+  triggered.forEach(showPriceAlertNotification);
+}
+
+/**
+ * Show the system notification for a triggered alert
+ */
+function showPriceAlertNotification(alert) {
+  const price = Math.round(alert.triggerPrice * 100);
+  const odds = formatPriceAsAmerican(alert.triggerPrice);
+  
+  chrome.notifications.create(`price-alert:${alert.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `${alert.ticker} crossed ${alert.direction} ${alert.label}`,
+    message: `YES is now ${price}¢${odds ? ` (${odds})` : ''}`,
+    contextMessage: alert.marketTitle || '',
+    priority: 2
+  }).catch((error) => {
+    console.error('Failed to show price alert notification:', error);
+  });
+}
+
+/**
+ * Open the market when a price alert notification is clicked
+ */
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith('price-alert:')) return;
+  
+  const alertId = notificationId.slice('price-alert:'.length);
+  const { priceAlerts = [] } = await chrome.storage.local.get({ priceAlerts: [] });
+  const alert = priceAlerts.find(item => item.id === alertId);
+  
+  if (alert?.url) {
+    chrome.tabs.create({ url: alert.url });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Add a market to the watchlist, or remove it if already starred
+ * @param {Object} item - { ticker, title, url, lastPrice }
+ * @returns {Promise<boolean>} True if the market is now on the watchlist
+ */
+async function toggleWatchlistItem(item) {
+  if (!item || typeof item.ticker !== 'string' || !item.ticker) {
+    throw new Error('Invalid watchlist item');
+  }
+  
+  return enqueueStorageUpdate(async () => {
+    const { watchlist = {} } = await chrome.storage.local.get({ watchlist: {} });
+    const { [item.ticker]: existing, ...remaining } = watchlist;
+    
+    if (existing) {
+      await chrome.storage.local.set({ watchlist: remaining });
+      return false;
+    }
+    
+    const hasPrice = isNumberInRange(item.lastPrice, 0, 1);
+    await chrome.storage.local.set({
+      watchlist: {
+        ...watchlist,
+        [item.ticker]: {
+          ticker: item.ticker,
+          title: item.title || item.ticker,
+          url: item.url || null,
+          addedAt: Date.now(),
+          lastPrice: hasPrice ? item.lastPrice : null,
+          lastSeenAt: hasPrice ? Date.now() : null
+        }
+      }
+    });
+    return true;
+  });
+}
+
+/**
+ * Record the latest observed price for starred markets
+ * @param {Array} observations - [{ ticker, price, observedAt }]
+ */
+async function updateWatchlistPrices(observations) {
+  if (!Array.isArray(observations) || observations.length === 0) return;
+  
+  await enqueueStorageUpdate(async () => {
+    const { watchlist = {} } = await chrome.storage.local.get({ watchlist: {} });
+    const updates = {};
+    
+    observations.forEach(observation => {
+      const item = watchlist[observation?.ticker];
+      if (item && isNumberInRange(observation.price, 0, 1)) {
+        updates[observation.ticker] = { ...item, lastPrice: observation.price, lastSeenAt: observation.observedAt || Date.now() };
+      }
+    });
+    
+    if (Object.keys(updates).length > 0) {
+      await chrome.storage.local.set({ watchlist: { ...watchlist, ...updates } });
+    }
+  });
+}
+
+/**
+ * Drop expired sportsbook lines and markets left without any
+ */
+function pruneBookLines(bookLines, now = Date.now()) {
+  const pruned = {};
+  Object.entries(bookLines).forEach(([ticker, lines]) => {
+    const active = (Array.isArray(lines) ? lines : []).filter(line => line.expiresAt > now);
+    if (active.length > 0) {
+      pruned[ticker] = active;
+    }
+  });
+  return pruned;
+}
+
+/**
+ * Add a sportsbook line to a market, replacing any earlier line from the same book
+ * @param {string} ticker - Market ticker
+ * @param {Object} line - { id, book, yesOdds, noOdds, createdAt, expiresAt }
+ */
+async function saveBookLine(ticker, line) {
+  if (typeof ticker !== 'string' || !ticker || !line || typeof line !== 'object' || !line.id) {
+    throw new Error('Invalid sportsbook line');
+  }
+  
+  const isAmericanOdds = (odds) => typeof odds === 'number' && isFinite(odds) && Math.abs(odds) >= 100;
+  if (!isAmericanOdds(line.yesOdds) || !isAmericanOdds(line.noOdds) || !(line.expiresAt > Date.now())) {
+    throw new Error('Invalid sportsbook odds or expiry');
+  }
+  
+  await enqueueStorageUpdate(async () => {
+    const { bookLines = {} } = await chrome.storage.local.get({ bookLines: {} });
+    const pruned = pruneBookLines(bookLines);
+    const book = String(line.book || 'Sportsbook').slice(0, 40);
+    const others = (pruned[ticker] || []).filter(existing => existing.book.toLowerCase() !== book.toLowerCase());
+    
+    pruned[ticker] = [...others, { ...line, book }];
+    await chrome.storage.local.set({ bookLines: pruned });
+  });
+}
+
+/**
+ * Remove one sportsbook line from a market
+ */
+async function deleteBookLine(ticker, id) {
+  await enqueueStorageUpdate(async () => {
+    const { bookLines = {} } = await chrome.storage.local.get({ bookLines: {} });
+    const pruned = pruneBookLines(bookLines);
+    
+    if (pruned[ticker]) {
+      pruned[ticker] = pruned[ticker].filter(line => line.id !== id);
+    }
+    await chrome.storage.local.set({ bookLines: pruneBookLines(pruned) });
+  });
+}
+
+// Oldest fee calibration records are dropped beyond this many
+const MAX_FEE_CALIBRATION_RECORDS = 500;
+
+// A series' rate is only re-fitted from its most recent tickets of one fee type...
+const FEE_CALIBRATION_WINDOW = 20;
+const FEE_CALIBRATION_MIN_SAMPLES = 5;
+
+// ...and only when the schedule rate missed this share of them in the same direction
+const FEE_CALIBRATION_CONSISTENCY = 0.8;
+
+/**
+ * Kalshi's fee for an order at a given rate, rounded up to the cent
+ */
+function feeAtRate(rate, price, quantity) {
+  return Math.ceil(rate * price * (1 - price) * quantity * 100) / 100;
+}
+
+/**
+ * Fit a fee rate to tickets' actual fees when the schedule is consistently off
+ * Each ticket bounds the rate, since round_up(rate × C × P × (1 - P)) must equal its fee in
+ * cents; the middle of the bounds all tickets agree on is used, or the median of each
+ * ticket's own range when they disagree
+ * @param {Array<Object>} records - Calibration records for one series and fee type, oldest first
+ * @returns {number|null} Fitted rate, or null when the schedule rate should be kept
+ */
+function calibrateFeeRate(records) {
+  const recent = records.slice(-FEE_CALIBRATION_WINDOW);
+  if (recent.length < FEE_CALIBRATION_MIN_SAMPLES) {
+    return null;
+  }
+  
+  const misses = recent.map(record =>
+    Math.sign(Math.round((record.actualFee - feeAtRate(record.scheduleRate, record.price, record.quantity)) * 100))
+  );
+  const tooHigh = misses.filter(miss => miss > 0).length;
+  const tooLow = misses.filter(miss => miss < 0).length;
+  if (Math.max(tooHigh, tooLow) < recent.length * FEE_CALIBRATION_CONSISTENCY) {
+    return null;
+  }
+  
+  let lower = 0;
+  let upper = Infinity;
+  const midpoints = recent.map(record => {
+    const base = record.price * (1 - record.price) * record.quantity * 100;
+    const cents = Math.round(record.actualFee * 100);
+    const low = Math.max(0, (cents - 1) / base);
+    const high = cents / base;
+    lower = Math.max(lower, low);
+    upper = Math.min(upper, high);
+    return (low + high) / 2;
+  });
+  
+  midpoints.sort((a, b) => a - b);
+  const middle = Math.floor(midpoints.length / 2);
+  const median = midpoints.length % 2 ? midpoints[middle] : (midpoints[middle - 1] + midpoints[middle]) / 2;
+  const rate = lower < upper ? (lower + upper) / 2 : median;
+  
+  return Math.round(rate * 100000) / 100000;
+}
+
+/**
+ * Check the shape of an estimated-vs-actual fee record
+ */
+function isValidFeeCalibrationRecord(record) {
+  const isFee = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+  return Boolean(record) && typeof record.seriesTicker === 'string' && record.seriesTicker !== '' &&
+    record.price > 0 && record.price < 1 && Number.isInteger(record.quantity) && record.quantity > 0 &&
+    ['taker', 'maker'].includes(record.feeType) &&
+    isFee(record.estimatedFee) && isFee(record.actualFee) && isFee(record.scheduleRate);
+}
+
+/**
+ * Identify the order a calibration record was taken from
+ * The same order shown again (a reload, another tab) carries no new information
+ */
+function getFeeCalibrationOrderKey(record) {
+  return `${record.seriesTicker.toUpperCase()}:${record.price}:${record.quantity}:${record.feeType}:${record.actualFee}`;
+}
+
+/**
+ * Store an estimated-vs-actual fee pair and re-fit the series' rate for its fee type
+ * Pairs for an order already in the stored window are ignored so one order can't outweigh others
+ * @param {Object} record - { seriesTicker, price, quantity, feeType, estimatedFee, actualFee, scheduleRate, recordedAt }
+ */
+async function recordFeeCalibration(record) {
+  if (!isValidFeeCalibrationRecord(record)) {
+    throw new Error('Invalid fee calibration record');
+  }
+  
+  const series = record.seriesTicker.toUpperCase();
+  
+  await enqueueStorageUpdate(async () => {
+    const { feeCalibration = [], calibratedFeeRates = {} } =
+      await chrome.storage.local.get({ feeCalibration: [], calibratedFeeRates: {} });
+    
+    const orderKey = getFeeCalibrationOrderKey(record);
+    if (feeCalibration.some(existing => getFeeCalibrationOrderKey(existing) === orderKey)) {
+      return;
+    }
+    
+    const records = [...feeCalibration, { ...record, seriesTicker: series }].slice(-MAX_FEE_CALIBRATION_RECORDS);
+    const seriesRecords = records.filter(existing => existing.seriesTicker === series);
+    const rate = calibrateFeeRate(seriesRecords.filter(existing => existing.feeType === record.feeType));
+    
+    const seriesRates = { ...calibratedFeeRates[series] };
+    if (rate === null) {
+      delete seriesRates[record.feeType];
+    } else {
+      seriesRates[record.feeType] = rate;
+    }
+    
+    const rates = { ...calibratedFeeRates };
+    if (typeof seriesRates.taker === 'number' || typeof seriesRates.maker === 'number') {
+      rates[series] = { ...seriesRates, samples: seriesRecords.length, updatedAt: Date.now() };
+    } else {
+      delete rates[series];
+    }
+    
+    await chrome.storage.local.set({ feeCalibration: records, calibratedFeeRates: rates });
+  });
+}
+
+/**
+ * Forget a series' calibration records and fitted rates
+ */
+async function resetFeeCalibration(seriesTicker) {
+  await enqueueStorageUpdate(async () => {
+    const { feeCalibration = [], calibratedFeeRates = {} } =
+      await chrome.storage.local.get({ feeCalibration: [], calibratedFeeRates: {} });
+    const { [seriesTicker]: removed, ...rates } = calibratedFeeRates;
+    
+    await chrome.storage.local.set({
+      feeCalibration: feeCalibration.filter(record => record.seriesTicker !== seriesTicker),
+      calibratedFeeRates: rates
+    });
+  });
+}
+
 /**
  * Migrate legacy settings to current format
  */
@@ -109,6 +963,13 @@ async function migrateLegacySettings() {
     // Ensure all required settings exist with defaults
     const requiredSettings = {
       displayMode: 'rawAmerican',
+      devigMethod: 'multiplicative',
+      journalEnabled: false,
+      americanPrecision: '1',
+      decimalPrecision: '2',
+      fractionalStyle: 'ladder',
+      afterFeeQuantity: '1',
+      afterFeeType: 'taker',
       fallbackEstimateEnabled: false,
       helperPanelEnabled: true
     };
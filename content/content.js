@@ -537,14 +537,41 @@ window.KalshiLogger = KalshiLogger;
 
 // Extension state
 let settings = {
-  displayMode: 'rawAmerican' // percent | rawAmerican | fractional | decimal
+  displayMode: 'rawAmerican', // one format or an ordered list: rawAmerican | fractional | decimal | fairAmerican | hongKong | malay | indonesian | probability | afterFeeAmerican ('percent' for none)
+  devigMethod: 'multiplicative', // multiplicative | additive | power | shin
+  journalEnabled: false,
+  americanPrecision: '1', // American odds rounded to the nearest 5 | 1 | 0.1
+  decimalPrecision: '2', // Decimal and Asian odds places: 2 | 3
+  fractionalStyle: 'ladder', // ladder (bookmaker fractions) | exact
+  afterFeeQuantity: '1', // Order size priced by after-fee badges: 1 | 10 | 100
+  afterFeeType: 'taker' // Fee type assumed by after-fee badges: taker | maker
 };
 
 // Valid setting values for validation
 const validSettingValues = {
-  displayMode: ['percent', 'rawAmerican', 'fractional', 'decimal']
+  displayMode: ['percent', 'rawAmerican', 'fractional', 'decimal', 'fairAmerican', 'hongKong', 'malay', 'indonesian', 'probability', 'afterFeeAmerican'],
+  devigMethod: ['multiplicative', 'additive', 'power', 'shin'],
+  journalEnabled: [true, false],
+  americanPrecision: ['5', '1', '0.1'],
+  decimalPrecision: ['2', '3'],
+  fractionalStyle: ['ladder', 'exact'],
+  afterFeeQuantity: ['1', '10', '100'],
+  afterFeeType: ['taker', 'maker']
 };
 
+/**
+ * Check a single setting value against its allowed values
+ * displayMode may also be an ordered list of badge formats (no duplicates, no 'percent')
+ */
+function isAllowedSettingValue(key, value) {
+  if (key === 'displayMode' && Array.isArray(value)) {
+    return value.length > 0 &&
+      new Set(value).size === value.length &&
+      value.every(mode => mode !== 'percent' && validSettingValues.displayMode.includes(mode));
+  }
+  return validSettingValues[key].includes(value);
+}
+
 /**
  * Validate settings object with enhanced logging
  */
@@ -556,7 +583,7 @@ function validateSettings(settingsToValidate) {
       // Ignore legacy settings that are no longer used
       KalshiLogger.debug('CONFIGURATION', `Ignoring legacy setting: ${key}`);
       continue;
-    } else if (validSettingValues[key] && !validSettingValues[key].includes(value)) {
+    } else if (validSettingValues[key] && !isAllowedSettingValue(key, value)) {
       KalshiLogger.warn('CONFIGURATION', `Invalid ${key} value: not in allowed values`, {
         key,
         value,
@@ -573,7 +600,9 @@ function validateSettings(settingsToValidate) {
 // DOM processing state
 let processedNodes = new WeakSet();
 let mutationObserver = null;
+let fairOddsPassCache = null; // Event outcome scans and fair probabilities for one processOddsNodes pass
 let debounceTimer = null;
+let pendingMutationRoots = null; // Elements changed since the last debounced pass; null until the first full scan
 let observerStats = {
   mutationsProcessed: 0,
   lastProcessTime: 0,
@@ -590,7 +619,10 @@ let helperPanelState = {
   afterFeeOdds: null,
   lastTicketData: null,
   inputChangeTimer: null,
-  recalculateTimer: null
+  recalculateTimer: null,
+  kellyBankroll: null,
+  kellyFraction: 0.25,
+  lastCalibrationKey: null // Last ticket fee sent for calibration, so re-parses of one order send it once
 };
 
 // Ticket state (was missing - causing ReferenceError)
@@ -598,7 +630,54 @@ let ticketState = {
   isOpen: false,
   ticketElement: null,
   ticketObserver: null,
-  lastTicketHash: null
+  lastTicketHash: null,
+  lastJournaledOrder: null // { key, at } of the last order written to the journal
+};
+
+// User's own probability estimates keyed by market ticker (chrome.storage.local)
+let marketEstimates = {};
+
+// User fee-rate overrides keyed by series ticker (chrome.storage.local)
+let feeOverrides = {};
+
+// Fee rates fitted from tickets' actual fees, keyed by series ticker (chrome.storage.local, written by the background)
+let calibratedFeeRates = {};
+
+// Latest observed price per market ticker and the row it came from, waiting to be sent to the background for alerts
+let pendingPriceObservations = new Map();
+let priceReportTimer = null;
+
+// Starred markets keyed by ticker (chrome.storage.local, written by the background)
+let watchlist = {};
+
+// Outside sportsbook lines keyed by market ticker (chrome.storage.local, written by the background)
+let bookLines = {};
+
+// Maximum order cost in dollars for quantity suggestions (chrome.storage.local, set in the popup)
+let orderBudget = null;
+
+// Interest rate (% per year) annualized returns are compared with (chrome.storage.local, set in the popup)
+let comparisonRate = null;
+
+// Combo slip legs (chrome.storage.session, cleared when the browser closes; chrome.storage.local where session storage can't be shared)
+let comboLegs = [];
+let comboStorageArea = chrome.storage.session ? 'session' : 'local';
+
+// Close date of the market page being viewed, re-checked when the path changes
+let marketCloseState = {
+  path: null,
+  ticker: null,
+  date: null
+};
+
+// Guaranteed payout (dollars) the arbitrage banner sizes baskets for
+let arbitrageTargetPayout = 100;
+
+// Detected orderbook and its parsed levels
+let orderbookState = {
+  element: null,
+  book: null,
+  fillQuantity: 100 // Contracts priced by the depth summary until the user changes it
 };
 
 // Fallback fee detection state (was missing - causing ReferenceError)
@@ -617,10 +696,20 @@ let fallbackFeeDetectionState = {
 };
 
 /**
- * Get the effective display mode
+ * Get the ordered list of formats to render in each odds badge
+ * A legacy single-mode string is treated as a one-item list; 'percent' means none
+ * @returns {string[]} Badge formats in display order
+ */
+function getDisplayFormats() {
+  const modes = Array.isArray(settings.displayMode) ? settings.displayMode : [settings.displayMode];
+  return modes.filter(mode => mode !== 'percent' && validSettingValues.displayMode.includes(mode));
+}
+
+/**
+ * Get the effective display mode (the first badge format, or 'percent' when none)
  */
 function getEffectiveDisplayMode() {
-  return settings.displayMode;
+  return getDisplayFormats()[0] || 'percent';
 }
 
 /**
@@ -4210,11 +4299,201 @@ function parseFeeFallback2(ticketElement) {
   }, null, ticketElement);
 }
 
+/**
+ * Versioned Kalshi fee schedule
+ * Rates are the multiplier in fee = round_up(rate × C × P × (1 - P)). Series map to a
+ * category; anything not listed uses the standard category. Bump the version whenever
+ * Kalshi publishes a schedule change so tooltips show which table produced an estimate.
+ */
+const KALSHI_FEE_SCHEDULE = {
+  version: '2025.1',
+  effectiveDate: '2025-01-01',
+  categories: {
+    standard: { taker: 0.07, maker: 0.0175, label: 'Standard' },
+    indices: { taker: 0.035, maker: 0.0175, label: 'S&P 500 / Nasdaq-100 indices' }
+  },
+  series: {
+    INX: 'indices',
+    INXD: 'indices',
+    INXU: 'indices',
+    NASDAQ100: 'indices',
+    NASDAQ100D: 'indices',
+    NASDAQ100U: 'indices'
+  }
+};
+
+/**
+ * Get the series ticker for the current page or a market ticker
+ * @param {string} [marketTicker] - Market ticker such as KXFED-25DEC-T4.00
+ * @returns {string|null} Upper-cased series ticker or null if unknown
+ */
+function getSeriesTicker(marketTicker = null) {
+  if (marketTicker) {
+    return marketTicker.split('-')[0].toUpperCase();
+  }
+  
+  // /markets/{series}/{slug}/{market}
+  const segments = window.location.pathname.split('/').filter(Boolean);
+  if (segments[0] === 'markets' && segments[1]) {
+    return decodeURIComponent(segments[1]).toUpperCase();
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve the fee rates for a series: user override, then rates calibrated from actual
+ * ticket fees, then the schedule, then the standard rates
+ * @param {string|null} seriesTicker - Series ticker (defaults to the current page's series)
+ * @returns {Object} Taker and maker rates with where they came from
+ */
+function resolveFeeRates(seriesTicker = getSeriesTicker()) {
+  const series = seriesTicker ? seriesTicker.toUpperCase() : null;
+  const override = series ? feeOverrides[series] : null;
+  const calibrated = series ? calibratedFeeRates[series] : null;
+  const category = (series && KALSHI_FEE_SCHEDULE.series[series]) || 'standard';
+  const scheduleRates = KALSHI_FEE_SCHEDULE.categories[category];
+  
+  if (override) {
+    return {
+      taker: typeof override.taker === 'number' ? override.taker : scheduleRates.taker,
+      maker: typeof override.maker === 'number' ? override.maker : scheduleRates.maker,
+      source: 'override',
+      category,
+      seriesTicker: series,
+      scheduleVersion: KALSHI_FEE_SCHEDULE.version
+    };
+  }
+  
+  if (calibrated) {
+    return {
+      taker: typeof calibrated.taker === 'number' ? calibrated.taker : scheduleRates.taker,
+      maker: typeof calibrated.maker === 'number' ? calibrated.maker : scheduleRates.maker,
+      source: 'calibrated',
+      category,
+      seriesTicker: series,
+      scheduleVersion: KALSHI_FEE_SCHEDULE.version,
+      samples: calibrated.samples
+    };
+  }
+  
+  return {
+    taker: scheduleRates.taker,
+    maker: scheduleRates.maker,
+    source: category === 'standard' ? 'default' : 'schedule',
+    category,
+    seriesTicker: series,
+    scheduleVersion: KALSHI_FEE_SCHEDULE.version
+  };
+}
+
+/**
+ * Describe resolved fee rates for tooltips
+ * @param {Object} feeRates - Result of resolveFeeRates
+ * @returns {string} Human-readable description
+ */
+function describeFeeRates(feeRates) {
+  const sourceLabels = {
+    override: 'your override',
+    calibrated: `calibrated from ${feeRates.samples} tickets`,
+    schedule: `${KALSHI_FEE_SCHEDULE.categories[feeRates.category].label} schedule`,
+    default: 'standard schedule'
+  };
+  
+  return `${(feeRates.taker * 100).toFixed(2)}% taker / ${(feeRates.maker * 100).toFixed(2)}% maker ` +
+    `(${sourceLabels[feeRates.source]}${feeRates.seriesTicker ? `, series ${feeRates.seriesTicker}` : ''}, ` +
+    `schedule v${feeRates.scheduleVersion})`;
+}
+
+/**
+ * Load user fee overrides from local storage
+ */
+async function loadFeeOverrides() {
+  try {
+    const result = await chrome.storage.local.get({ feeOverrides: {}, calibratedFeeRates: {} });
+    feeOverrides = result.feeOverrides || {};
+    calibratedFeeRates = result.calibratedFeeRates || {};
+    KalshiLogger.debug('CONFIGURATION', 'Fee overrides loaded', {
+      series: Object.keys(feeOverrides),
+      calibratedSeries: Object.keys(calibratedFeeRates)
+    });
+  } catch (error) {
+    console.error('Failed to load fee overrides:', error);
+    feeOverrides = {};
+    calibratedFeeRates = {};
+  }
+}
+
+/**
+ * Read the best price currently offered for a side from the ticket's side buttons
+ * Kalshi labels them like "Yes 45¢" / "Buy No · 56¢"
+ * @param {Element} ticketElement - Order ticket element
+ * @param {string} side - 'YES' or 'NO'
+ * @returns {number|null} Best ask for the side in dollars, or null if not shown
+ */
+function parseTicketBestAsk(ticketElement, side) {
+  if (!ticketElement || (side !== 'YES' && side !== 'NO')) return null;
+  
+  const candidates = ticketElement.querySelectorAll('button, [role="tab"], [role="radio"]');
+  for (const candidate of candidates) {
+    const text = candidate.textContent?.trim() || '';
+    if (extractSideFromText(text.replace(/[\d.¢$·]/g, '')) !== side) continue;
+    
+    const centsMatch = text.match(/(\d{1,2}(?:\.\d)?)\s*¢/);
+    if (centsMatch) {
+      return parseFloat(centsMatch[1]) / 100;
+    }
+    
+    const dollarMatch = text.match(/\$(0?\.\d{2})/);
+    if (dollarMatch) {
+      return parseFloat(dollarMatch[1]);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Decide whether a limit order would take liquidity or rest on the book
+ * A buy at or above the best ask crosses the spread and pays taker fees
+ * @param {number} price - Limit price
+ * @param {string} side - 'YES' or 'NO'
+ * @param {Element} [ticketElement] - Order ticket to read the best ask from
+ * @returns {Object} feeType ('taker' or 'maker'), best ask and the reason
+ */
+function detectOrderRole(price, side, ticketElement = ticketState.ticketElement) {
+  const bestAsk = parseTicketBestAsk(ticketElement, side);
+  
+  if (bestAsk === null || typeof price !== 'number') {
+    return { feeType: 'taker', bestAsk: null, reason: 'Best ask unknown - assuming taker' };
+  }
+  
+  if (price >= bestAsk) {
+    return { feeType: 'taker', bestAsk, reason: `$${price.toFixed(2)} crosses the $${bestAsk.toFixed(2)} ask` };
+  }
+  
+  return { feeType: 'maker', bestAsk, reason: `$${price.toFixed(2)} rests below the $${bestAsk.toFixed(2)} ask` };
+}
+
+/**
+ * Keep fee overrides in sync when they are edited from the popup
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.feeOverrides) {
+    feeOverrides = changes.feeOverrides.newValue || {};
+    KalshiLogger.info('CONFIGURATION', 'Fee overrides updated', { series: Object.keys(feeOverrides) });
+  }
+  if (areaName === 'local' && changes.calibratedFeeRates) {
+    calibratedFeeRates = changes.calibratedFeeRates.newValue || {};
+    KalshiLogger.info('CONFIGURATION', 'Calibrated fee rates updated', { series: Object.keys(calibratedFeeRates) });
+  }
+});
+
 /**
  * Calculate Kalshi fee estimate using published fee schedule
- * Based on Kalshi's official fee formulas:
- * - Taker fees: round_up(0.07 × C × P × (1 - P)) where C = contracts, P = price
- * - Maker fees: round_up(0.0175 × C × P × (1 - P)) where C = contracts, P = price
+ * Based on Kalshi's official fee formulas, with rates from KALSHI_FEE_SCHEDULE:
+ * - Taker fees: round_up(taker_rate × C × P × (1 - P)) where C = contracts, P = price
+ * - Maker fees: round_up(maker_rate × C × P × (1 - P)) where C = contracts, P = price
  * - Some markets may be fee-free for makers
  * 
  * @param {number} price - Contract price (0.01 to 1.00)
@@ -4222,6 +4501,7 @@ function parseFeeFallback2(ticketElement) {
  * @param {Object} options - Optional configuration
  * @param {string} options.feeType - 'taker' or 'maker' (defaults to 'taker')
  * @param {boolean} options.assumeMakerFeeFree - Whether to assume maker fees are 0 (defaults to false)
+ * @param {string} options.seriesTicker - Series whose rates apply (defaults to the current page's series)
  * @returns {Object|null} Fee estimate object or null if invalid inputs
  */
 function calculateKalshiFeeEstimate(price, quantity, options = {}) {
@@ -4242,7 +4522,8 @@ function calculateKalshiFeeEstimate(price, quantity, options = {}) {
     return null;
   }
   
-  const { feeType = 'taker', assumeMakerFeeFree = false } = options;
+  const { feeType = 'taker', assumeMakerFeeFree = false, seriesTicker = getSeriesTicker() } = options;
+  const resolvedRates = resolveFeeRates(seriesTicker);
   
   // If assuming maker fees are free (common for many markets)
   if (feeType === 'maker' && assumeMakerFeeFree) {
@@ -4252,17 +4533,13 @@ function calculateKalshiFeeEstimate(price, quantity, options = {}) {
       feeType: 'maker (fee-free)',
       formula: 'Fee-free market for makers',
       priceUsed: price,
-      quantityUsed: quantity
+      quantityUsed: quantity,
+      feeRates: resolvedRates
     };
   }
   
   // Calculate base fee using Kalshi's formula: fee_rate × contracts × price × (1 - price)
-  const feeRates = {
-    taker: 0.07,    // 7% of P × (1-P)
-    maker: 0.0175   // 1.75% of P × (1-P)
-  };
-  
-  const feeRate = feeRates[feeType] || feeRates.taker;
+  const feeRate = feeType === 'maker' ? resolvedRates.maker : resolvedRates.taker;
   
   // Calculate the fee per contract using Kalshi's formula
   const baseFeePerContract = feeRate * price * (1 - price);
@@ -4290,7 +4567,9 @@ function calculateKalshiFeeEstimate(price, quantity, options = {}) {
     priceUsed: price,
     quantityUsed: quantity,
     baseFeePerContract: baseFeePerContract,
-    maxFeeAtFiftyPercent: feeRate * 0.5 * 0.5 // Maximum fee occurs at 50% probability
+    maxFeeAtFiftyPercent: feeRate * 0.5 * 0.5, // Maximum fee occurs at 50% probability
+    feeRate: feeRate,
+    feeRates: resolvedRates
   };
 }
 
@@ -4309,11 +4588,10 @@ function parseFeeFallback3(ticketElement) {
     const price = parseLimitPrice(ticketElement) || 0.5; // Default to 50 cents
     const quantity = parseQuantity(ticketElement) || 1; // Default to 1 contract
     
-    // Calculate fee using Kalshi's published fee schedule
-    // Default to taker fees since we can't determine maker vs taker from ticket alone
-    // For many markets, maker fees are 0, but we'll use taker fees for conservative estimate
+    // Calculate fee using the fee schedule, as maker only when the price visibly rests below the ask
+    const orderRole = detectOrderRole(price, parseOrderSide(ticketElement), ticketElement);
     const feeEstimate = calculateKalshiFeeEstimate(price, quantity, { 
-      feeType: 'taker',
+      feeType: orderRole.feeType,
       assumeMakerFeeFree: false 
     });
     
@@ -4333,7 +4611,15 @@ function parseFeeFallback3(ticketElement) {
     };
     }
 
-    return feeEstimate;
+    return {
+      totalFee: feeEstimate.totalFee,
+      perContractFee: feeEstimate.perContractFee,
+      feeSource: 'estimated',
+      feeType: feeEstimate.feeType,
+      feeRates: feeEstimate.feeRates,
+      orderRole: orderRole,
+      rawText: `Estimated: ${feeEstimate.formula}`
+    };
   }, null, ticketElement);
 }
 
@@ -4474,8 +4760,9 @@ function attemptAdvancedRecovery(ticketElement, failedTicketData) {
       console.log('🔄 Recovery strategy 5: Estimating fee information');
       
       // Use the enhanced fee calculation for recovery
+      const orderRole = detectOrderRole(recoveredData.price, recoveredData.side, ticketElement);
       const feeEstimate = calculateKalshiFeeEstimate(recoveredData.price, recoveredData.quantity, { 
-        feeType: 'taker',
+        feeType: orderRole.feeType,
         assumeMakerFeeFree: false 
       });
       
@@ -4484,6 +4771,9 @@ function attemptAdvancedRecovery(ticketElement, failedTicketData) {
           totalFee: feeEstimate.totalFee,
           perContractFee: feeEstimate.perContractFee,
           feeSource: 'estimated',
+          feeType: feeEstimate.feeType,
+          feeRates: feeEstimate.feeRates,
+          orderRole: orderRole,
           rawText: `Recovery estimate: ${recoveredData.quantity} contracts × $${feeEstimate.perContractFee.toFixed(4)} = $${feeEstimate.totalFee.toFixed(4)} (${feeEstimate.feeType} fee)`
         };
       } else {
@@ -4924,6 +5214,13 @@ async function init() {
   await waitForPageLoad();
   
   await loadSettings();
+  await loadMarketEstimates();
+  await loadFeeOverrides();
+  await loadWatchlist();
+  await loadBookLines();
+  await loadOrderBudget();
+  await loadComparisonRate();
+  await loadComboLegs();
   setupMutationObserver();
   setupHelperPanelPositioning();
   
@@ -5003,6 +5300,13 @@ async function loadSettings() {
   try {
     const defaultSettings = {
       displayMode: 'rawAmerican',
+      devigMethod: 'multiplicative',
+      journalEnabled: false,
+      americanPrecision: '1',
+      decimalPrecision: '2',
+      fractionalStyle: 'ladder',
+      afterFeeQuantity: '1',
+      afterFeeType: 'taker',
       fallbackEstimateEnabled: false
     };
     
@@ -5324,6 +5628,9 @@ function setupMutationObserver() {
       let shouldProcess = false;
       
       mutations.forEach((mutation) => {
+        // Side price buttons ("Yes 45¢") don't trigger a pass themselves, so every change is tracked
+        trackMutationRoot(mutation.type === 'characterData' ? mutation.target.parentElement : mutation.target);
+        
         // Check for added nodes that might contain probability/price data
         if (mutation.type === 'childList') {
           // Check added nodes
@@ -5357,6 +5664,8 @@ function setupMutationObserver() {
           const text = mutation.target.textContent?.trim();
           if (text && (isProbabilityText(text) || isPriceText(text))) {
             shouldProcess = true;
+            // Processed nodes are skipped by later scans; report live price changes for alerts
+            observePriceTextChange(mutation.target);
           }
         }
         
@@ -5409,6 +5718,25 @@ function setupMutationObserver() {
   console.log('MutationObserver setup complete - watching for DOM changes');
 }
 
+/**
+ * Remember an element changed by a mutation so the next pass can rescan just that part of the page
+ */
+function trackMutationRoot(element) {
+  if (pendingMutationRoots && element) {
+    pendingMutationRoots.add(element);
+  }
+}
+
+/**
+ * Take the elements changed since the last pass
+ * @returns {Set<Element>|null} Changed elements, or null when the whole page still needs a scan
+ */
+function takePendingMutationRoots() {
+  const mutationRoots = pendingMutationRoots;
+  pendingMutationRoots = new Set();
+  return mutationRoots;
+}
+
 /**
  * Debounced page processing to avoid excessive DOM updates
  */
@@ -5419,7 +5747,7 @@ function debouncedProcessPage() {
   
   debounceTimer = setTimeout(async () => {
     try {
-      await processPage(); // Now async
+      await processPage(takePendingMutationRoots()); // Now async
     } catch (error) {
       console.error('Error in debounced page processing:', error);
       observerStats.processingErrors++;
@@ -5496,8 +5824,9 @@ function isPriceText(text) {
 
 /**
  * Main page processing function
+ * @param {Set<Element>|null} mutationRoots - Elements changed since the last pass, or null to rescan the whole page
  */
-async function processPage() {
+async function processPage(mutationRoots = null) {
   try {
     // Double-check that we should be processing this page
     if (!shouldActivateExtension()) {
@@ -5518,7 +5847,13 @@ async function processPage() {
     //   processPage.lastCleanup = Date.now();
     // }
     
+    updateMarketCloseDate(mutationRoots);
     processOddsNodes();
+    injectTitleWatchlistStar();
+    updateRowSpreads(mutationRoots);
+    updateArbitrageBanners();
+    processOrderbook(mutationRoots);
+    processPortfolio();
     // await processOrderTicket(); // Disabled - helper panel functionality removed
     
     const endTime = performance.now();
@@ -5621,10 +5956,10 @@ function getProbabilityTextFromContainer(container) {
 }
 
 /**
- * Get the effective display mode
+ * Get the effective display mode (the first badge format, or 'percent' when none)
  */
 function getEffectiveDisplayMode() {
-  return settings.displayMode;
+  return getDisplayFormats()[0] || 'percent';
 }
 
 /**
@@ -5980,12 +6315,21 @@ function processOddsNodes() {
   
   console.log(`Found ${textNodes.length} text nodes to process`);
   
+  // Scan each event's outcome rows once per pass instead of once per badge
+  fairOddsPassCache = { outcomeRows: new Map(), events: new Map() };
+  
   // Process each text node for probability patterns
   let processedCount = 0;
-  textNodes.forEach(textNode => {
-    const result = processProbabilityTextNode(textNode);
-    if (result) processedCount++;
-  });
+  try {
+    textNodes.forEach(textNode => {
+      const result = processProbabilityTextNode(textNode);
+      if (result) processedCount++;
+    });
+    
+    refreshSiblingFairOdds();
+  } finally {
+    fairOddsPassCache = null;
+  }
   
   console.log(`Processed ${processedCount} probability nodes`);
 }
@@ -6051,41 +6395,223 @@ function injectOddsForNode(textNode, probability, matchType) {
   // Mark as processed
   parentElement.setAttribute('data-kalshi-ao', '1');
   
-  // Calculate odds based on display mode
-  const displayMode = getEffectiveDisplayMode();
+  // Calculate odds for every selected badge format
+  const displayFormats = getDisplayFormats();
+  if (displayFormats.length === 0) {
+    console.debug('Skipping odds injection for display mode:', settings.displayMode);
+    return;
+  }
+  
+  const ticker = getMarketTickerForElement(parentElement);
+  const entries = displayFormats
+    .map(format => calculateOddsForFormat(format, probability, textNode, ticker))
+    .filter(Boolean);
+  
+  // Skip if odds calculation failed for every format
+  if (entries.length === 0) {
+    console.debug('Skipping odds for edge case probability:', probability);
+    return;
+  }
+  
+  // Create odds display element
+  const oddsElement = createOddsElement(entries, matchType, probability);
+  
+  // Inject the odds element
+  try {
+    injectOddsElement(container, parentElement, oddsElement);
+  } catch (error) {
+    console.error('Failed to inject odds element:', error);
+    return;
+  }
+  
+  // Tag the badge with its market so EV badges can be (re)rendered from stored estimates
+  oddsElement.setAttribute('data-market-ticker', ticker || '');
+  oddsElement.setAttribute('data-row-primary', isRowPrimaryTextNode(textNode, container) ? '1' : '0');
+  attachEvBadge(oddsElement);
+  attachBookComparison(oddsElement);
+  attachAnnualizedReturn(oddsElement);
+  attachAlertButton(oddsElement);
+  attachRowWatchlistStar(oddsElement);
+  attachComboButton(oddsElement);
+  attachBookLineButton(oddsElement);
+  attachOddsHoverCard(parentElement);
+  reportObservedPrice(oddsElement);
+}
+
+/**
+ * Rebuild an odds badge from the price it annotates
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function rerenderOddsBadge(oddsElement) {
+  const priceElement = oddsElement.previousElementSibling;
+  const textNode = Array.from(priceElement?.childNodes || []).find(node =>
+    node.nodeType === Node.TEXT_NODE && (isProbabilityText(node.textContent) || isPriceText(node.textContent))
+  );
+  if (!textNode) return;
+  
+  oddsElement.remove();
+  priceElement.removeAttribute('data-kalshi-ao');
+  processProbabilityTextNode(textNode);
+}
+
+/**
+ * Re-render after-fee badges whose fee source or value changed when a ticket opened, changed or closed
+ * Unchanged badges are left alone, so rebuilding one can't set off another ticket update
+ */
+function refreshAfterFeeBadges() {
+  if (!getDisplayFormats().includes('afterFeeAmerican')) return;
+  
+  document.querySelectorAll('[data-kalshi-ao-odds][data-fee-source]').forEach(oddsElement => {
+    const afterFee = calculateBadgeAfterFeeOdds(
+      parseFloat(oddsElement.getAttribute('data-probability')),
+      oddsElement.getAttribute('data-market-ticker') || null
+    );
+    const changed = afterFee && (
+      afterFee.feeSource !== oddsElement.getAttribute('data-fee-source') ||
+      String(afterFee.afterFeeOdds) !== oddsElement.getAttribute('data-after-fee-odds')
+    );
+    
+    if (changed) {
+      rerenderOddsBadge(oddsElement);
+    }
+  });
+}
+
+/**
+ * Calculate the odds value for one badge format
+ * @param {string} format - Badge format (e.g. 'rawAmerican', 'decimal', 'probability')
+ * @param {number} probability - Implied probability of the price
+ * @param {Text} textNode - Text node holding the price, used to de-vig fair odds
+ * @param {string|null} ticker - Market ticker whose fee rates apply to after-fee odds
+ * @returns {{odds: number|string, oddsType: string, feeSource?: string}|null} Odds and the type they were rendered as
+ */
+function calculateOddsForFormat(format, probability, textNode, ticker = null) {
   let odds = null;
-  let oddsType = displayMode;
+  let oddsType = format;
   
-  switch (displayMode) {
+  switch (format) {
     case 'rawAmerican':
       odds = probabilityToAmericanOdds(probability);
       break;
     case 'fractional':
-      odds = probabilityToFractionalOdds(probability);
+      odds = formatFractionalOdds(probability);
       break;
     case 'decimal':
       odds = probabilityToDecimalOdds(probability);
       break;
+    case 'hongKong':
+      odds = probabilityToHongKongOdds(probability);
+      break;
+    case 'malay':
+      odds = probabilityToMalayOdds(probability);
+      break;
+    case 'indonesian':
+      odds = probabilityToIndonesianOdds(probability);
+      break;
+    case 'probability':
+      odds = probability > 0 && probability < 1 ? probability : null;
+      break;
+    case 'afterFeeAmerican': {
+      const afterFee = calculateBadgeAfterFeeOdds(probability, ticker);
+      if (!afterFee) return null;
+      return { odds: afterFee.afterFeeOdds, oddsType: format, feeSource: afterFee.feeSource };
+    }
+    case 'fairAmerican': {
+      // De-vig against the rest of the event's outcomes; rows we can't group fall back to raw odds
+      const fairProbability = textNode ? getFairProbabilityForNode(textNode, probability) : null;
+      if (fairProbability !== null) {
+        odds = probabilityToAmericanOdds(fairProbability);
+        if (odds !== null) {
+          return { odds, oddsType, fairProbability };
+        }
+      } else {
+        odds = probabilityToAmericanOdds(probability);
+        oddsType = 'rawAmerican';
+      }
+      break;
+    }
     default:
-      console.debug('Skipping odds injection for display mode:', displayMode);
-      return;
+      return null;
   }
   
-  // Skip if odds calculation failed
   if (odds === null) {
     console.debug(`Skipping ${oddsType} odds for edge case probability:`, probability);
-    return;
+    return null;
   }
   
-  // Create odds display element
-  const oddsElement = createOddsElement(odds, matchType, probability, oddsType);
+  return { odds, oddsType };
+}
+
+/**
+ * Format an odds value for display according to its type
+ * @param {string} [feeSource] - 'ticket' or 'estimated' for after-fee odds
+ */
+function formatOddsForType(odds, oddsType, feeSource) {
+  switch (oddsType) {
+    case 'rawAmerican':
+      return formatAmericanOddsDisplay(odds);
+    case 'fairAmerican':
+      return `fair ${formatAmericanOddsDisplay(odds)}`;
+    case 'afterFeeAmerican':
+      // Same markers as the ticket's fee source indicator: ✓ read from the ticket, otherwise estimated
+      return `net ${formatAmericanOddsDisplay(odds)}${feeSource === 'ticket' ? ' ✓' : ' est.'}`;
+    case 'fractional':
+      return odds; // Already formatted as string like "3/2"
+    case 'decimal':
+      return formatDecimalOdds(odds);
+    case 'hongKong':
+    case 'malay':
+    case 'indonesian':
+      return formatAsianOdds(odds, oddsType);
+    case 'probability':
+      return `${(odds * 100).toFixed(1)}%`;
+    default:
+      return String(odds);
+  }
+}
+
+/**
+ * Calculate after-fee odds for a page badge at the user's default order size and fee type
+ * A fee read from the open ticket for the same market, price and size is exact; otherwise
+ * the fee is estimated from the series' schedule rates
+ * @param {number} price - Contract price (0.01-0.99)
+ * @param {string|null} ticker - Market ticker whose fee rates apply
+ * @returns {Object|null} After-fee odds with fee per contract, source, type and quantity
+ */
+function calculateBadgeAfterFeeOdds(price, ticker) {
+  if (!(price > 0 && price < 1)) return null;
   
-  // Inject the odds element
-  try {
-    injectOddsElement(container, parentElement, oddsElement);
-  } catch (error) {
-    console.error('Failed to inject odds element:', error);
+  const quantity = parseInt(settings.afterFeeQuantity, 10) || 1;
+  const feeType = settings.afterFeeType === 'maker' ? 'maker' : 'taker';
+  
+  let feePerContract = null;
+  let feeSource = 'estimated';
+  
+  const ticket = ticketState.isOpen ? helperPanelState.lastTicketData : null;
+  const ticketFee = ticket?.fee;
+  if (ticketFee?.feeSource === 'ticket' &&
+      ticket.quantity === quantity &&
+      Math.abs(ticket.price - price) < 0.001 &&
+      (!ticker || ticker === parseMarketTickerFromPath(window.location.pathname))) {
+    feePerContract = ticketFee.perContractFee ?? (ticketFee.totalFee !== null ? ticketFee.totalFee / quantity : null);
+    if (feePerContract !== null) {
+      feeSource = 'ticket';
+    }
+  }
+  
+  if (feePerContract === null) {
+    const feeEstimate = calculateKalshiFeeEstimate(price, quantity, {
+      feeType,
+      seriesTicker: getSeriesTicker(ticker || null)
+    });
+    if (!feeEstimate) return null;
+    feePerContract = feeEstimate.perContractFee;
   }
+  
+  const afterFeeOdds = calculateAfterFeeOdds(price, feePerContract, { enableValidation: false });
+  if (afterFeeOdds === null) return null;
+  
+  return { afterFeeOdds, feePerContract, feeSource, feeType, quantity, price };
 }
 
 /**
@@ -6154,8 +6680,8 @@ function probabilityToAmericanOdds(p) {
     odds = -100 * p / (1 - p); // Negative odds
   }
   
-  // Apply integer rounding (no rounding options)
-  return Math.round(odds);
+  // Display rounding is applied by formatAmericanOddsDisplay
+  return roundOddsValue(odds);
 }
 
 /**
@@ -6203,73 +6729,225 @@ function probabilityToDecimalOdds(p) {
   // Calculate decimal odds: 1/p
   const decimalOdds = 1 / p;
   
-  // Round to 2 decimal places
-  return Math.round(decimalOdds * 100) / 100;
+  // Display places are applied by formatDecimalOdds
+  return roundOddsValue(decimalOdds);
 }
 
 /**
- * Simplify a fraction to its lowest terms
+ * Convert probability to Hong Kong odds (net profit per 1 staked: decimal - 1)
  */
-function simplifyFraction(numerator, denominator) {
-  // Convert to integers by multiplying by a large number and rounding
-  const scale = 10000;
-  let num = Math.round(numerator * scale);
-  let den = Math.round(denominator * scale);
-  
-  // Find GCD
-  const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
-  const divisor = gcd(Math.abs(num), Math.abs(den));
-  
-  num = num / divisor;
-  den = den / divisor;
-  
-  // Ensure denominator is positive
-  if (den < 0) {
-    num = -num;
-    den = -den;
-  }
-  
-  // For very small fractions, use common betting fractions
-  if (den > 100) {
-    // Try to find a close simple fraction
-    const commonFractions = [
-      [1, 10], [1, 9], [1, 8], [1, 7], [1, 6], [1, 5], [1, 4], [2, 7], [1, 3], [2, 5],
-      [1, 2], [3, 5], [2, 3], [3, 4], [4, 5], [5, 6], [6, 7], [7, 8], [8, 9], [9, 10],
-      [1, 1], [11, 10], [6, 5], [5, 4], [4, 3], [3, 2], [8, 5], [5, 3], [9, 5], [2, 1],
-      [9, 4], [5, 2], [3, 1], [7, 2], [4, 1], [9, 2], [5, 1], [6, 1], [7, 1], [8, 1], [9, 1], [10, 1]
-    ];
-    
-    const targetRatio = num / den;
-    let bestFraction = [num, den];
-    let bestDifference = Infinity;
-    
-    for (const [n, d] of commonFractions) {
-      const ratio = n / d;
-      const difference = Math.abs(ratio - targetRatio);
-      if (difference < bestDifference && difference < 0.05) { // Within 5% tolerance
-        bestDifference = difference;
-        bestFraction = [n, d];
-      }
-    }
-    
-    [num, den] = bestFraction;
-  }
-  
-  // Format as string
-  if (den === 1) {
-    return `${num}/1`;
-  }
+function probabilityToHongKongOdds(p) {
+  const decimalOdds = probabilityToDecimalOdds(p);
+  if (decimalOdds === null) return null;
   
-  return `${num}/${den}`;
+  return roundOddsValue(decimalOdds - 1);
 }
 
 /**
- * Comprehensive validation functions for calculated values - Task 4.3.4
+ * Convert probability to Malay odds
+ * Favorites (HK price up to 1) are quoted as the Hong Kong price (0 to 1]; underdogs as
+ * -1/HK, so every quote falls between -1 and 1
  */
+function probabilityToMalayOdds(p) {
+  const hongKongOdds = probabilityToHongKongOdds(p);
+  if (hongKongOdds === null || hongKongOdds <= 0) return null;
+  
+  return hongKongOdds <= 1 ? hongKongOdds : roundOddsValue(-1 / hongKongOdds);
+}
 
 /**
- * Validate calculated risk value
- * @param {number} price - Original price
+ * Convert probability to Indonesian odds (American odds divided by 100)
+ */
+function probabilityToIndonesianOdds(p) {
+  const americanOdds = probabilityToAmericanOdds(p);
+  if (americanOdds === null) return null;
+  
+  return roundOddsValue(americanOdds / 100);
+}
+
+/**
+ * Format Hong Kong, Malay or Indonesian odds for display
+ * Indonesian always carries a sign like American odds; Malay only shows the minus
+ * @param {number} odds - Odds in the given format
+ * @param {string} format - 'hongKong', 'malay' or 'indonesian'
+ */
+function formatAsianOdds(odds, format) {
+  if (typeof odds !== 'number' || isNaN(odds)) return '--';
+  
+  const text = formatOddsDecimals(odds);
+  return format === 'indonesian' && odds > 0 ? `+${text}` : text;
+}
+
+/**
+ * Convert Hong Kong, Malay or Indonesian odds to American odds
+ * @param {number} odds - Odds in the given format
+ * @param {string} format - 'hongKong', 'malay' or 'indonesian'
+ * @returns {number|null} American odds, or null if the value is out of range for the format
+ */
+function asianOddsToAmerican(odds, format) {
+  if (typeof odds !== 'number' || isNaN(odds) || odds === 0) return null;
+  
+  switch (format) {
+    case 'hongKong':
+      if (odds < 0) return null;
+      return odds >= 1 ? odds * 100 : -100 / odds;
+    case 'malay':
+      if (odds < -1 || odds > 1) return null;
+      return -100 / odds;
+    case 'indonesian':
+      if (Math.abs(odds) < 1) return null;
+      return odds * 100;
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// ODDS FORMATTING AND PRECISION
+// ============================================================================
+
+// Converters keep this many decimal places; display rounding follows the precision settings
+const ODDS_CALCULATION_DECIMALS = 4;
+
+// Conventional bookmaker fractions, shortest price first
+const FRACTIONAL_ODDS_LADDER = [
+  '1/100', '1/50', '1/33', '1/25', '1/20', '1/16', '1/14', '1/12', '1/10', '1/9', '1/8', '1/7',
+  '2/13', '1/6', '2/11', '1/5', '2/9', '1/4', '2/7', '3/10', '1/3', '4/11', '2/5', '4/9',
+  '1/2', '8/15', '4/7', '8/13', '4/6', '8/11', '4/5', '5/6', '10/11', '1/1', '21/20', '11/10',
+  '6/5', '5/4', '11/8', '6/4', '13/8', '7/4', '15/8', '2/1', '9/4', '5/2', '11/4', '3/1',
+  '10/3', '7/2', '4/1', '9/2', '5/1', '11/2', '6/1', '13/2', '7/1', '15/2', '8/1', '17/2',
+  '9/1', '10/1', '11/1', '12/1', '14/1', '16/1', '20/1', '25/1', '33/1', '50/1', '66/1',
+  '100/1', '150/1', '200/1', '250/1', '500/1', '1000/1'
+];
+
+/**
+ * Round a value to a calculation precision, dropping floating-point noise
+ */
+function roundOddsValue(value, decimals = ODDS_CALCULATION_DECIMALS) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Round American odds to the step chosen in settings (5, 1 or 0.1)
+ * Steps divide 100, so odds never round into the -100..+100 gap
+ */
+function roundAmericanOdds(odds) {
+  const step = parseFloat(settings.americanPrecision) || 1;
+  return roundOddsValue(Math.round(odds / step) * step, 1);
+}
+
+/**
+ * Format decimal-style odds (decimal, Hong Kong, Malay, Indonesian) to the chosen places
+ */
+function formatOddsDecimals(value) {
+  return value.toFixed(settings.decimalPrecision === '3' ? 3 : 2);
+}
+
+/**
+ * Format decimal odds for display
+ */
+function formatDecimalOdds(decimalOdds) {
+  if (typeof decimalOdds !== 'number' || isNaN(decimalOdds)) return '--';
+  return formatOddsDecimals(decimalOdds);
+}
+
+/**
+ * Snap a probability to the nearest fraction on the bookmaker ladder
+ * Distance is measured on the log of the payout ratio so long and short prices are
+ * treated alike
+ * @param {number} p - Probability (0-1)
+ * @returns {string|null} Fraction such as "13/8", or null if invalid
+ */
+function snapToFractionalLadder(p) {
+  if (!(p > 0 && p < 1)) return null;
+  
+  const target = Math.log((1 - p) / p);
+  let best = null;
+  let bestDistance = Infinity;
+  
+  FRACTIONAL_ODDS_LADDER.forEach(fraction => {
+    const [numerator, denominator] = fraction.split('/').map(Number);
+    const distance = Math.abs(Math.log(numerator / denominator) - target);
+    if (distance < bestDistance) {
+      best = fraction;
+      bestDistance = distance;
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Get fractional odds for a probability in the chosen style (ladder or exact)
+ */
+function formatFractionalOdds(p) {
+  return settings.fractionalStyle === 'exact' ? probabilityToFractionalOdds(p) : snapToFractionalLadder(p);
+}
+
+/**
+ * Simplify a fraction to its lowest terms
+ */
+function simplifyFraction(numerator, denominator) {
+  // Convert to integers by multiplying by a large number and rounding
+  const scale = 10000;
+  let num = Math.round(numerator * scale);
+  let den = Math.round(denominator * scale);
+  
+  // Find GCD
+  const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+  const divisor = gcd(Math.abs(num), Math.abs(den));
+  
+  num = num / divisor;
+  den = den / divisor;
+  
+  // Ensure denominator is positive
+  if (den < 0) {
+    num = -num;
+    den = -den;
+  }
+  
+  // For very small fractions, use common betting fractions
+  if (den > 100) {
+    // Try to find a close simple fraction
+    const commonFractions = [
+      [1, 10], [1, 9], [1, 8], [1, 7], [1, 6], [1, 5], [1, 4], [2, 7], [1, 3], [2, 5],
+      [1, 2], [3, 5], [2, 3], [3, 4], [4, 5], [5, 6], [6, 7], [7, 8], [8, 9], [9, 10],
+      [1, 1], [11, 10], [6, 5], [5, 4], [4, 3], [3, 2], [8, 5], [5, 3], [9, 5], [2, 1],
+      [9, 4], [5, 2], [3, 1], [7, 2], [4, 1], [9, 2], [5, 1], [6, 1], [7, 1], [8, 1], [9, 1], [10, 1]
+    ];
+    
+    const targetRatio = num / den;
+    let bestFraction = [num, den];
+    let bestDifference = Infinity;
+    
+    for (const [n, d] of commonFractions) {
+      const ratio = n / d;
+      const difference = Math.abs(ratio - targetRatio);
+      if (difference < bestDifference && difference < 0.05) { // Within 5% tolerance
+        bestDifference = difference;
+        bestFraction = [n, d];
+      }
+    }
+    
+    [num, den] = bestFraction;
+  }
+  
+  // Format as string
+  if (den === 1) {
+    return `${num}/1`;
+  }
+  
+  return `${num}/${den}`;
+}
+
+/**
+ * Comprehensive validation functions for calculated values - Task 4.3.4
+ */
+
+/**
+ * Validate calculated risk value
+ * @param {number} price - Original price
  * @param {number} feePerContract - Fee per contract
  * @param {number} calculatedRisk - The calculated risk value
  * @returns {Object} Validation result with isValid and error properties
@@ -6472,8 +7150,8 @@ function calculateAfterFeeOdds(price, feePerContract, options = {}) {
     rawOdds = -100 * (calculatedRisk / calculatedProfit);
   }
   
-  // Apply integer rounding (no rounding options)
-  let finalOdds = Math.round(rawOdds);
+  // Display rounding is applied by formatAmericanOddsDisplay
+  let finalOdds = roundOddsValue(rawOdds);
   
   // Comprehensive validation of final result (Task 4.3.4)
   if (enableValidation) {
@@ -6594,6 +7272,9 @@ function calculateAfterFeeOddsFromTicket(ticketData, options = {}) {
     risk,
     profit,
     feeSource: fee.feeSource,
+    feeType: fee.feeType,
+    feeRates: fee.feeRates,
+    orderRole: fee.orderRole,
     // Task 6.4.1: Include fallback detection results
     fallbackDetection: fallbackDetection,
     isUsingFallbackFee: fallbackDetection.isUsingFallback,
@@ -6611,28 +7292,18 @@ function calculateAfterFeeOddsFromTicket(ticketData, options = {}) {
 
 /**
  * Create odds display element
+ * @param {Array<{odds: number|string, oddsType: string}>} entries - Formats to show, in order
+ * @param {string} matchType - How the price text was matched
+ * @param {number} probability - Implied probability of the price
  */
-function createOddsElement(odds, matchType, probability, oddsType = 'rawAmerican') {
+function createOddsElement(entries, matchType, probability) {
   const oddsElement = document.createElement('span');
   oddsElement.className = 'kalshi-ao-odds';
   
-  // Format odds display based on type
-  let oddsText;
-  
-  switch (oddsType) {
-    case 'rawAmerican':
-      const roundedOdds = Math.round(odds);
-      oddsText = roundedOdds > 0 ? `+${roundedOdds}` : `${roundedOdds}`;
-      break;
-    case 'fractional':
-      oddsText = odds; // Already formatted as string like "3/2"
-      break;
-    case 'decimal':
-      oddsText = odds.toFixed(2);
-      break;
-    default:
-      oddsText = String(odds);
-  }
+  // Several formats share one badge, e.g. "+150 | 2.50"
+  const oddsText = entries
+    .map(({ odds, oddsType, feeSource }) => formatOddsForType(odds, oddsType, feeSource))
+    .join(' | ');
   
   // Display odds with appropriate formatting
   oddsElement.textContent = ` (${oddsText})`;
@@ -6678,8 +7349,18 @@ function createOddsElement(odds, matchType, probability, oddsType = 'rawAmerican
   // Add data attributes for identification
   oddsElement.setAttribute('data-kalshi-ao-odds', '1');
   oddsElement.setAttribute('data-match-type', matchType);
-  oddsElement.setAttribute('data-display-mode', settings.displayMode);
-  oddsElement.setAttribute('data-odds-type', oddsType);
+  oddsElement.setAttribute('data-display-mode', getDisplayFormats().join(','));
+  oddsElement.setAttribute('data-odds-type', entries.map(entry => entry.oddsType).join(','));
+  const afterFeeEntry = entries.find(entry => entry.oddsType === 'afterFeeAmerican');
+  if (afterFeeEntry) {
+    oddsElement.setAttribute('data-fee-source', afterFeeEntry.feeSource);
+    oddsElement.setAttribute('data-after-fee-odds', String(afterFeeEntry.odds));
+  }
+  oddsElement.setAttribute('data-probability', String(probability));
+  const fairEntry = entries.find(entry => entry.oddsType === 'fairAmerican');
+  if (fairEntry) {
+    oddsElement.setAttribute('data-fair-probability', String(fairEntry.fairProbability));
+  }
   
   // Ensure element cannot receive focus
   oddsElement.setAttribute('tabindex', '-1');
@@ -7607,8 +8288,9 @@ async function onTicketOpened(ticketElement) {
       };
     }
     
-    // Calculate and display after-fee odds if data is valid or can proceed
-    if (ticketData && (ticketData.isValid || ticketData.validationSummary?.canProceed)) {
+    // Calculate and display after-fee odds if data is valid or can proceed; market orders
+    // have no limit price, so they are priced from the book instead
+    if (ticketData && (ticketData.isValid || ticketData.validationSummary?.canProceed || !isLimitOrder(ticketElement))) {
       try {
         await updateAfterFeeOddsDisplay(ticketElement, ticketData);
         console.log('✅ After-fee odds display updated successfully');
@@ -7639,6 +8321,10 @@ async function onTicketOpened(ticketElement) {
       console.log('ℹ️ Continuing without helper panel');
     }
     
+    // After-fee badges for this order can now use the ticket's exact fee
+    helperPanelState.lastTicketData = ticketData;
+    refreshAfterFeeBadges();
+    
     // Dispatch custom event for other parts of the extension
     try {
       const event = new CustomEvent('kalshi-ao-ticket-opened', {
@@ -7724,16 +8410,17 @@ async function updateAfterFeeOddsDisplay(ticketElement, ticketData) {
   try {
     console.log('Updating after-fee odds display...');
     
-    // Only show after-fee odds if display mode is afterFeeAmerican
-    const effectiveMode = getEffectiveDisplayMode();
-    if (effectiveMode !== 'afterFeeAmerican') {
-      console.log('Skipping after-fee odds display - effective mode is', effectiveMode);
+    // Only show after-fee odds if afterFeeAmerican is one of the badge formats
+    if (!getDisplayFormats().includes('afterFeeAmerican')) {
+      console.log('Skipping after-fee odds display - display formats are', getDisplayFormats());
       clearAfterFeeOddsDisplay(ticketElement);
       return;
     }
     
-    // Calculate after-fee odds
-    const afterFeeResult = calculateAfterFeeOddsFromTicket(ticketData);
+    // Calculate after-fee odds; market orders use an estimated average fill price
+    const afterFeeResult = isLimitOrder(ticketElement)
+      ? calculateAfterFeeOddsFromTicket(ticketData)
+      : calculateMarketOrderAfterFee(ticketElement, ticketData);
     
     if (!afterFeeResult) {
       console.warn('Could not calculate after-fee odds, clearing display');
@@ -7772,6 +8459,8 @@ async function updateAfterFeeOddsDisplay(ticketElement, ticketData) {
       console.log('After-fee odds display updated');
     }
     
+    updateQuantitySuggestion(oddsDisplay, afterFeeResult);
+    
   } catch (error) {
     console.error('Error updating after-fee odds display:', error);
     clearAfterFeeOddsDisplay(ticketElement);
@@ -7812,6 +8501,8 @@ function clearAfterFeeOddsDisplay(ticketElement) {
     existingDisplay.remove();
     console.log('After-fee odds display cleared');
   }
+  
+  ticketElement.querySelector('[data-kalshi-ao-quantity-suggestion]')?.remove();
 }
 
 /**
@@ -7905,6 +8596,9 @@ function createFeeSourceTooltip(feeSource, feePerContract, afterFeeResult) {
     
     return tooltip;
   } else if (feeSource === 'estimated') {
+    const feeRates = afterFeeResult.feeRates || resolveFeeRates();
+    const feeType = afterFeeResult.feeType || 'taker';
+    const appliedRate = feeType === 'maker' ? feeRates.maker : feeRates.taker;
     let tooltip = `⚠️ Fee Source: Estimated from Published Schedule (FALLBACK)
 
 🔄 WHY YOU'RE SEEING ESTIMATED FEES:
@@ -7914,24 +8608,21 @@ function createFeeSourceTooltip(feeSource, feePerContract, afterFeeResult) {
 • The estimate gives you a good approximation while we wait for real data
 
 📋 HOW WE CALCULATE THE ESTIMATE:
-• We use Kalshi's official published fee schedule (kept up-to-date)
-• Current fee structure (as of 2024):
-  - Most orders pay 7% taker fee (when you take liquidity)
-  - Some orders pay 1.75% maker fee (when you provide liquidity)
-• Simple formula: max($0.01, min(price × quantity × 7%, $1.00))
-• We assume the higher taker fee to be conservative (better to overestimate)
+• We use Kalshi's published fee schedule (v${feeRates.scheduleVersion}, effective ${KALSHI_FEE_SCHEDULE.effectiveDate})
+• Rates for this market: ${describeFeeRates(feeRates)}
+• Formula: round_up(rate × quantity × price × (1 - price)) to the next cent per order
+• Maker rate applies only when your price rests below the best ask; otherwise taker
 
 🧮 YOUR ESTIMATED FEE BREAKDOWN:
 • Your order: $${(afterFeeResult.price || 0).toFixed(2)} × ${afterFeeResult.quantity || 1} contracts
 • Notional value: $${((afterFeeResult.price || 0) * (afterFeeResult.quantity || 1)).toFixed(2)}
-• Estimated fee rate: 7% (taker assumption)
+• Estimated fee rate: ${(appliedRate * 100).toFixed(2)}% (${feeType}${afterFeeResult.orderRole ? ` - ${afterFeeResult.orderRole.reason}` : ''})
 • Calculated fee: $${feePerContract.toFixed(4)} per contract
-• Fee cap: $1.00 maximum, $0.01 minimum per contract
 
 ⚠️ WHAT YOU SHOULD KNOW ABOUT ESTIMATES:
 • Estimates might be off by ±10-20% compared to actual fees
 • We can't account for volume discounts or special account pricing
-• We use the standard taker fee rate (7%) to be conservative
+• Fee-free promotions only apply if you enter them as a fee override in settings
 • Your actual account status and market conditions aren't reflected
 
 🔄 WHEN FALLBACK IS TRIGGERED:
@@ -8063,14 +8754,9 @@ function updateAfterFeeOddsElement(element, afterFeeResult) {
     fallbackReasons
   } = afterFeeResult;
   
-  // Format odds display - always integer
-  const formatOdds = (odds) => {
-    const roundedOdds = Math.round(odds);
-    return roundedOdds > 0 ? `+${roundedOdds}` : `${roundedOdds}`;
-  };
-  
-  const afterFeeOddsText = formatOdds(afterFeeOdds);
-  const rawOddsText = rawOdds ? formatOdds(rawOdds) : 'N/A';
+  // Format odds display with the user's American precision
+  const afterFeeOddsText = formatAmericanOddsDisplay(afterFeeOdds);
+  const rawOddsText = rawOdds ? formatAmericanOddsDisplay(rawOdds) : 'N/A';
   
   // Create fee source tooltip content (Task 4.4.2 + 6.4.1)
   const feeSourceTooltip = createFeeSourceTooltip(feeSource, feePerContract, afterFeeResult);
@@ -8113,10 +8799,30 @@ function updateAfterFeeOddsElement(element, afterFeeResult) {
                       </span>`;
   }
 
+  // Annualized return of holding to the close, using this order's all-in cost
+  const annualized = calculateAnnualizedReturn(risk, marketCloseState.date);
+  const annualizedLine = annualized
+    ? `<div style="font-size: 12px; color: #6c757d; margin-bottom: 2px;">${describeAnnualizedReturn(annualized)}</div>`
+    : '';
+  
+  // Market orders show the estimated fill behind the price used
+  let marketFillLine = '';
+  if (afterFeeResult.orderType === 'market') {
+    const { fill, fillWarning } = afterFeeResult;
+    const levels = fill.levelsUsed > 1 ? ` across ${fill.levelsUsed} levels (worst ${Math.round(fill.worstPrice * 100)}¢)` : '';
+    marketFillLine = `
+    <div style="font-size: 12px; color: #6c757d; margin-bottom: 2px;">
+      Market order: est. avg fill ${(afterFeeResult.price * 100).toFixed(1)}¢${levels}
+    </div>
+    ${fillWarning ? `<div style="font-size: 11px; color: #856404; margin-bottom: 2px;">⚠️ ${fillWarning}</div>` : ''}`;
+  }
+
   element.innerHTML = `
     <div style="font-weight: 600; margin-bottom: 4px; color: #212529;">
       After-Fee Odds: <span style="color: ${afterFeeOdds > 0 ? '#28a745' : '#dc3545'};">${afterFeeOddsText}</span>${estimatedLabel}
     </div>
+    ${marketFillLine}
+    ${annualizedLine}
     <div style="font-size: 12px; color: #6c757d; margin-bottom: 2px;">
       Raw Odds: ${rawOddsText} → After-Fee: ${afterFeeOddsText}
     </div>
@@ -8131,6 +8837,7 @@ function updateAfterFeeOddsElement(element, afterFeeResult) {
         ${feeSourceIcon}${feeSourceText}
       </span>
     </div>
+    ${renderFeeSensitivityChart(afterFeeResult.price, afterFeeResult.quantity, afterFeeResult.feeType)}
   `;
   
   // Add enhanced tooltip with calculation details and fee source information (Task 6.4.3)
@@ -8153,10 +8860,10 @@ ${afterFeeResult.calculations.oddsFormula}
 
 📈 AMERICAN ODDS EXPLANATION:
 ${afterFeeOdds > 0 ? 
-  `• Positive odds (+${afterFeeOdds}): You profit $${afterFeeOdds} for every $100 wagered
+  `• Positive odds (${formatAmericanOddsDisplay(afterFeeOdds)}): You profit $${afterFeeOdds.toFixed(2)} for every $100 wagered
 • To win $100, you need to risk $${(10000 / afterFeeOdds).toFixed(2)}
 • Implied probability: ${((100 / (afterFeeOdds + 100)) * 100).toFixed(1)}%` :
-  `• Negative odds (${afterFeeOdds}): You need to risk $${Math.abs(afterFeeOdds)} to win $100
+  `• Negative odds (${formatAmericanOddsDisplay(afterFeeOdds)}): You need to risk $${Math.abs(afterFeeOdds).toFixed(2)} to win $100
 • To win $${(10000 / Math.abs(afterFeeOdds)).toFixed(2)}, you need to risk $100
 • Implied probability: ${((Math.abs(afterFeeOdds) / (Math.abs(afterFeeOdds) + 100)) * 100).toFixed(1)}%`}
 
@@ -8601,6 +9308,10 @@ function setupDirectInputListeners(ticketElement) {
   buttons.forEach(button => {
     button.removeEventListener('click', handleTicketButtonClick);
     button.addEventListener('click', handleTicketButtonClick, { passive: true });
+    
+    // Journal snapshots are taken on submit
+    button.removeEventListener('click', handleTicketSubmitClick);
+    button.addEventListener('click', handleTicketSubmitClick, { passive: true });
   });
   
   console.log(`Set up direct input listeners for ${inputs.length} inputs and ${buttons.length} buttons`);
@@ -8735,9 +9446,11 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 function onTicketClosed() {
   console.log('Order ticket closed');
   
+  const previousTicketElement = ticketState.ticketElement;
+  
   // Clean up direct input listeners before clearing ticket element
-  if (ticketState.ticketElement) {
-    cleanupDirectInputListeners(ticketState.ticketElement);
+  if (previousTicketElement) {
+    cleanupDirectInputListeners(previousTicketElement);
   }
   
   ticketState.isOpen = false;
@@ -8754,7 +9467,10 @@ function onTicketClosed() {
   hideHelperPanel();
   
   // Clear after-fee odds display
-  clearAfterFeeOddsDisplay();
+  clearAfterFeeOddsDisplay(previousTicketElement);
+  
+  // Badges that used the ticket's fee go back to estimates
+  refreshAfterFeeBadges();
 }
 
 /**
@@ -8776,6 +9492,7 @@ function cleanupDirectInputListeners(ticketElement) {
     const buttons = ticketElement.querySelectorAll('button');
     buttons.forEach(button => {
       button.removeEventListener('click', handleTicketButtonClick);
+      button.removeEventListener('click', handleTicketSubmitClick);
     });
     
     console.log(`Cleaned up direct input listeners for ${inputs.length} inputs and ${buttons.length} buttons`);
@@ -8809,12 +9526,15 @@ async function parseAndProcessTicketData(ticketElement, hasInputChange = false)
     const ticketData = await parseTicketData(ticketElement);
     
     // Update after-fee odds display
-    updateAfterFeeOddsDisplay(ticketData);
+    await updateAfterFeeOddsDisplay(ticketElement, ticketData);
     
     // Update helper panel with new ticket data
     // Pass priority flag for input changes to reduce debounce delay
     updateHelperPanelWithTicketData(ticketData, hasInputChange);
     
+    // Badges matching the edited order switch between the ticket's fee and an estimate
+    refreshAfterFeeBadges();
+    
   } catch (error) {
     console.error('Error parsing and processing ticket data:', error);
     
@@ -8924,12 +9644,12 @@ function createHelperPanel() {
     
     <div class="input-section">
       <div class="odds-input-group">
-        <label class="input-label" for="kalshi-ao-odds-input">American Odds</label>
+        <label class="input-label" for="kalshi-ao-odds-input">Odds</label>
         <input 
           type="text" 
           id="kalshi-ao-odds-input"
           class="odds-input" 
-          placeholder="e.g. +150, -200"
+          placeholder="e.g. +150, -200, 0.85 HK"
           autocomplete="off"
           tabindex="0"
         />
@@ -8959,6 +9679,108 @@ function createHelperPanel() {
       </div>
     </div>
     
+    <div class="kelly-section">
+      <div class="section-title">Kelly Stake Sizing</div>
+      <div class="kelly-inputs">
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-fair-odds-input">Your Fair Odds</label>
+          <input type="text" id="kalshi-ao-fair-odds-input" class="odds-input" placeholder="e.g. +120" autocomplete="off" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-bankroll-input">Bankroll ($)</label>
+          <input type="number" id="kalshi-ao-bankroll-input" class="odds-input" placeholder="e.g. 1000" min="0" step="1" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-kelly-fraction">Kelly Fraction</label>
+          <select id="kalshi-ao-kelly-fraction" class="odds-input" tabindex="0">
+            <option value="1">Full</option>
+            <option value="0.5">Half</option>
+            <option value="0.25" selected>Quarter</option>
+            <option value="custom">Custom</option>
+          </select>
+          <input type="number" id="kalshi-ao-kelly-custom" class="odds-input" placeholder="0.1 - 1" min="0.01" max="1" step="0.05" style="display: none;" tabindex="0" />
+        </div>
+      </div>
+      <div class="result-item">
+        <div class="result-label">Recommended Contracts</div>
+        <div class="result-value" id="kalshi-ao-kelly-contracts">--</div>
+        <div class="helper-text" id="kalshi-ao-kelly-detail">Enter your fair odds and bankroll</div>
+      </div>
+      <div class="kelly-warning" id="kalshi-ao-kelly-warning" style="display: none;"></div>
+    </div>
+    
+    <div class="ladder-section">
+      <div class="section-title">Ladder Planner</div>
+      <div class="ladder-inputs">
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-ladder-start">From</label>
+          <input type="text" id="kalshi-ao-ladder-start" class="odds-input" placeholder="40¢ or +150" autocomplete="off" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-ladder-end">To</label>
+          <input type="text" id="kalshi-ao-ladder-end" class="odds-input" placeholder="35¢ or +185" autocomplete="off" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-ladder-rungs">Rungs</label>
+          <input type="number" id="kalshi-ao-ladder-rungs" class="odds-input" placeholder="5" min="1" max="20" step="1" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-ladder-total">Contracts</label>
+          <input type="number" id="kalshi-ao-ladder-total" class="odds-input" placeholder="100" min="1" step="1" tabindex="0" />
+        </div>
+      </div>
+      <div class="helper-text" id="kalshi-ao-ladder-status">Enter a price or odds range, rungs and total contracts</div>
+      <div id="kalshi-ao-ladder-output"></div>
+    </div>
+    
+    <div class="combo-section">
+      <div class="section-title">Combo Slip</div>
+      <div class="odds-input-group">
+        <label class="input-label" for="kalshi-ao-combo-quantity">Contracts per leg</label>
+        <input type="number" id="kalshi-ao-combo-quantity" class="odds-input" value="100" min="1" step="1" tabindex="0" />
+      </div>
+      <ul id="kalshi-ao-combo-legs" class="combo-legs"></ul>
+      <div id="kalshi-ao-combo-result" class="helper-text"></div>
+      <button type="button" id="kalshi-ao-combo-clear" class="combo-clear" tabindex="0">Clear slip</button>
+    </div>
+    
+    <div class="hedge-section">
+      <div class="section-title">Hedge / Cash Out</div>
+      <div class="hedge-inputs">
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-hedge-side">Holding</label>
+          <select id="kalshi-ao-hedge-side" class="odds-input" tabindex="0">
+            <option value="YES">YES</option>
+            <option value="NO">NO</option>
+          </select>
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-hedge-entry">Entry</label>
+          <input type="text" id="kalshi-ao-hedge-entry" class="odds-input" placeholder="40¢ or +150" autocomplete="off" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-hedge-contracts">Contracts</label>
+          <input type="number" id="kalshi-ao-hedge-contracts" class="odds-input" placeholder="100" min="1" step="1" tabindex="0" />
+        </div>
+        <div class="odds-input-group">
+          <label class="input-label" for="kalshi-ao-hedge-current">Opposite now</label>
+          <input type="text" id="kalshi-ao-hedge-current" class="odds-input" placeholder="45¢ or -120" autocomplete="off" tabindex="0" />
+        </div>
+      </div>
+      <button type="button" id="kalshi-ao-hedge-prefill" class="hedge-prefill" tabindex="0">Use ticket</button>
+      <div class="helper-text" id="kalshi-ao-hedge-status">Enter a position to hedge</div>
+      <div id="kalshi-ao-hedge-output"></div>
+    </div>
+    
+    <div class="depth-section">
+      <div class="section-title">Market Buy Depth</div>
+      <div class="odds-input-group">
+        <label class="input-label" for="kalshi-ao-depth-quantity">Contracts</label>
+        <input type="number" id="kalshi-ao-depth-quantity" class="odds-input" placeholder="500" min="1" step="1" tabindex="0" />
+      </div>
+      <div class="helper-text" id="kalshi-ao-depth-result">Enter a contract count</div>
+    </div>
+    
     <div class="helper-text" style="margin-top: 8px; text-align: center;">
       <span class="tooltip-trigger" title="Calculations based on current ticket fee information when available">
         ℹ️ Fee info from ticket
@@ -9065,6 +9887,12 @@ function setupHelperPanelEventListeners(panel) {
   panel.addEventListener('contextmenu', function(e) {
     e.stopPropagation();
   });
+  
+  setupKellyEventListeners(panel);
+  setupLadderEventListeners(panel);
+  setupDepthEventListeners(panel);
+  setupHedgeEventListeners(panel);
+  setupComboEventListeners(panel);
 }
 
 /**
@@ -9088,8 +9916,8 @@ function validateAndCalculate(panel) {
     return;
   }
   
-  // Validate American odds with detailed feedback
-  const validation = validateAmericanOddsInput(oddsText);
+  // Validate American (or Hong Kong/Malay/Indonesian) odds with detailed feedback
+  const validation = validateOddsInput(oddsText);
   
   if (!validation.isValid) {
     showValidationError(panel, validation.error, validation.suggestion);
@@ -9197,6 +10025,8 @@ function validateAndCalculate(panel) {
   if (validation.suggestion) {
     showValidationHint(panel, validation.suggestion);
   }
+  
+  updateKellyRecommendation(panel);
 }
 
 /**
@@ -9236,6 +10066,9 @@ function clearResults(panel) {
   if (oddsHelperText) {
     oddsHelperText.textContent = 'Effective odds after fees';
   }
+  
+  // Kelly sizing falls back to the ticket's own price when there is no suggestion
+  updateKellyRecommendation(panel);
 }
 
 /**
@@ -9413,17 +10246,63 @@ function validateAmericanOddsInput(text) {
   return result;
 }
 
+// Suffixes that mark typed odds as Hong Kong, Malay or Indonesian regardless of display mode
+const ASIAN_ODDS_SUFFIXES = {
+  hk: 'hongKong',
+  my: 'malay',
+  malay: 'malay',
+  id: 'indonesian',
+  indo: 'indonesian'
+};
+
+/**
+ * Validate odds typed as American, or as Hong Kong, Malay or Indonesian odds
+ * American odds are tried first. Smaller values are read in the format named by a
+ * suffix ("0.85 hk", "-0.5 my", "+1.5 id") or, without one, in the display mode when
+ * that is an Asian format
+ * @param {string} text - Typed odds
+ * @param {string} displayMode - Format used for unsuffixed non-American values
+ * @returns {Object} Same shape as validateAmericanOddsInput, with odds converted to American
+ */
+function validateOddsInput(text, displayMode = getEffectiveDisplayMode()) {
+  const cleaned = typeof text === 'string' ? text.trim().toLowerCase() : '';
+  const match = cleaned.match(/^([+-]?\d*\.?\d+)\s*([a-z]+)?$/);
+  const suffixFormat = match?.[2] ? ASIAN_ODDS_SUFFIXES[match[2]] : null;
+  const format = suffixFormat || (['hongKong', 'malay', 'indonesian'].includes(displayMode) ? displayMode : null);
+  
+  if (!match || (match[2] && !suffixFormat) || !format || (!suffixFormat && Math.abs(parseFloat(match[1])) >= 100)) {
+    return validateAmericanOddsInput(text);
+  }
+  
+  const labels = { hongKong: 'Hong Kong', malay: 'Malay', indonesian: 'Indonesian' };
+  const americanOdds = asianOddsToAmerican(parseFloat(match[1]), format);
+  if (americanOdds === null || Math.abs(americanOdds) > 100000) {
+    const ranges = { hongKong: 'above 0', malay: 'between -1 and 1', indonesian: '+1.00 or more, or -1.00 or less' };
+    return {
+      isValid: false,
+      odds: null,
+      error: `${labels[format]} odds must be ${ranges[format]}`,
+      suggestion: 'Add hk, my or id after the number to pick a format'
+    };
+  }
+  
+  return {
+    isValid: true,
+    odds: Math.round(americanOdds * 100) / 100,
+    error: null,
+    suggestion: `${labels[format]} ${formatAsianOdds(parseFloat(match[1]), format)} = ${formatAmericanOddsDisplay(americanOdds)}`
+  };
+}
+
 /**
  * Format American odds for display with proper sign
  */
 function formatAmericanOddsDisplay(odds) {
   if (typeof odds !== 'number' || isNaN(odds)) return '--';
   
-  if (odds > 0) {
-    return `+${Math.round(odds)}`;
-  } else {
-    return `${Math.round(odds)}`;
-  }
+  const rounded = roundAmericanOdds(odds);
+  const text = settings.americanPrecision === '0.1' ? rounded.toFixed(1) : String(rounded);
+  return rounded > 0 ? `+${text}` : text;
 }
 
 /**
@@ -9522,16 +10401,22 @@ function calculateAfterFeeOddsForHelper(price, side, ticketData) {
       }
     }
     
-    // If no fee from ticket, try to estimate using Kalshi's fee schedule
+    // If no fee from ticket, estimate from the fee schedule as maker or taker depending on
+    // whether the suggested price would cross the spread
+    const orderRole = detectOrderRole(price, side);
+    let feeType = orderRole.feeType;
+    let feeRates = null;
+    
     if (feePerContract === null && settings.fallbackEstimateEnabled) {
       const feeEstimate = calculateKalshiFeeEstimate(price, quantity, { 
-        feeType: 'taker', // Conservative estimate using taker fees
+        feeType: feeType,
         assumeMakerFeeFree: false 
       });
       
       if (feeEstimate) {
         feePerContract = feeEstimate.perContractFee;
         feeSource = 'estimated';
+        feeRates = feeEstimate.feeRates;
       }
     }
     
@@ -9552,6 +10437,9 @@ function calculateAfterFeeOddsForHelper(price, side, ticketData) {
       feeSource: feeSource,
       feePerContract: feePerContract,
       quantity: quantity,
+      feeType: feeType,
+      feeRates: feeRates,
+      orderRole: orderRole,
       error: null
     };
     
@@ -9569,11 +10457,7 @@ function calculateAfterFeeOddsForHelper(price, side, ticketData) {
  * Format American odds for display
  */
 function formatAmericanOdds(odds) {
-  if (odds > 0) {
-    return `+${Math.round(odds)}`;
-  } else {
-    return `${Math.round(odds)}`;
-  }
+  return formatAmericanOddsDisplay(odds);
 }
 
 /**
@@ -10246,11 +11130,10 @@ function updateHelperPanelTooltips(ticketData) {
 • Still gives you a good approximation for planning your orders
 
 📋 HOW WE ESTIMATE:
-• Using Kalshi's current fee structure (kept up-to-date):
-  - Standard rate: 7% taker fee (most common scenario)
-  - Lower rate: 1.75% maker fee (for orders providing liquidity)
-• We assume the higher taker fee to be conservative
-• Formula: max($0.01, min(price × quantity × 7%, $1.00))
+• Using Kalshi's fee schedule v${KALSHI_FEE_SCHEDULE.version}:
+  - ${describeFeeRates(resolveFeeRates())}
+• Maker rate when the limit price rests below the best ask, taker otherwise
+• Formula: round_up(rate × quantity × price × (1 - price))
 
 💡 TO GET EXACT CALCULATIONS:
 • Make sure your order ticket is fully loaded and visible
@@ -10361,6 +11244,11 @@ function detectFeeAvailabilityChange(currentTicketData) {
   const feeBecameAvailable = !previousFeeAvailable && currentFeeAvailable;
   const feeBecameUnavailable = previousFeeAvailable && !currentFeeAvailable;
   
+  // Compare the schedule estimate with every fee the ticket shows
+  if (currentFeeSource === 'ticket' && currentFeeAvailable) {
+    recordFeeEstimateAccuracy(currentTicketData);
+  }
+  
   // Update tracking state
   helperPanelState.lastFeeSource = currentFeeSource;
   helperPanelState.lastFeeAvailability = currentFeeAvailable;
@@ -10534,46 +11422,4216 @@ function showFeeTransitionIndicator(message) {
   }, 2000);
 }
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
-}
-
 // ============================================================================
-// ULTRA-ROBUST ODDS PROTECTION SYSTEM
+// FAIR ODDS (DE-VIG) CALCULATIONS
 // ============================================================================
 
 /**
- * Ultra-robust protection system to prevent odds from being removed
- * This system implements multiple layers of protection against aggressive DOM clearing
+ * Remove the overround from a set of mutually exclusive outcome probabilities
+ * @param {number[]} probabilities - Implied probabilities for every outcome of an event
+ * @param {string} method - 'multiplicative', 'additive', 'power' or 'shin'
+ * @returns {number[]|null} Fair probabilities summing to 1, or null if they cannot be computed
  */
+function devigProbabilities(probabilities, method = 'multiplicative') {
+  if (!Array.isArray(probabilities) || probabilities.length < 2) {
+    return null;
+  }
+  
+  if (probabilities.some(p => typeof p !== 'number' || isNaN(p) || p <= 0 || p >= 1)) {
+    return null;
+  }
+  
+  switch (method) {
+    case 'additive':
+      return devigAdditive(probabilities);
+    case 'power':
+      return devigPower(probabilities);
+    case 'shin':
+      return devigShin(probabilities);
+    case 'multiplicative':
+    default:
+      return devigMultiplicative(probabilities);
+  }
+}
 
-// Global protection state
-let protectionSystem = {
-  isActive: false,
-  protectedElements: new WeakSet(),
-  protectionInterval: null,
-  removalAttempts: 0,
-  lastProtectionCheck: 0
-};
+/**
+ * Multiplicative (proportional) de-vig: scale every outcome by the total book
+ */
+function devigMultiplicative(probabilities) {
+  const total = probabilities.reduce((sum, p) => sum + p, 0);
+  return probabilities.map(p => p / total);
+}
 
 /**
- * Protect an odds element from removal attempts
+ * Additive de-vig: subtract an equal share of the overround from every outcome
+ * Outcomes pushed to zero or below are dropped and the rest renormalized
  */
-function protectOddsElement(element) {
-  if (!element || protectionSystem.protectedElements.has(element)) {
-    return; // Already protected
+function devigAdditive(probabilities) {
+  const total = probabilities.reduce((sum, p) => sum + p, 0);
+  const share = (total - 1) / probabilities.length;
+  const adjusted = probabilities.map(p => Math.max(p - share, 0.0001));
+  const adjustedTotal = adjusted.reduce((sum, p) => sum + p, 0);
+  return adjusted.map(p => p / adjustedTotal);
+}
+
+/**
+ * Power de-vig: find k such that the sum of p^k equals 1
+ * Shades longshots more than favorites, matching the favorite-longshot bias
+ */
+function devigPower(probabilities) {
+  const sumAtPower = (k) => probabilities.reduce((sum, p) => sum + Math.pow(p, k), 0);
+  
+  let low = 0.01;
+  let high = 100;
+  
+  // sumAtPower is decreasing in k, so bisect until it hits 1
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (sumAtPower(mid) > 1) {
+      low = mid;
+    } else {
+      high = mid;
+    }
   }
   
-  // Mark as protected
-  protectionSystem.protectedElements.add(element);
-  element.setAttribute('data-kalshi-ao-protected', 'true');
+  const k = (low + high) / 2;
+  return devigMultiplicative(probabilities.map(p => Math.pow(p, k)));
+}
+
+/**
+ * Shin de-vig: model the overround as protection against a share z of insider money
+ * Falls back to multiplicative when the book has no overround to explain
+ */
+function devigShin(probabilities) {
+  const total = probabilities.reduce((sum, p) => sum + p, 0);
+  if (total <= 1) {
+    return devigMultiplicative(probabilities);
+  }
   
-  // Override remove method to prevent removal
-  const originalRemove = element.remove;
-  element.remove = function() {
+  const fairForZ = (z) => probabilities.map(p =>
+    (Math.sqrt(z * z + 4 * (1 - z) * (p * p) / total) - z) / (2 * (1 - z))
+  );
+  const sumForZ = (z) => fairForZ(z).reduce((sum, p) => sum + p, 0);
+  
+  let low = 0;
+  let high = 0.999;
+  
+  // The fair probabilities sum to more than 1 at z = 0 and shrink as z grows
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (sumForZ(mid) > 1) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return devigMultiplicative(fairForZ((low + high) / 2));
+}
+
+/**
+ * Find the event container that holds a row and its sibling outcome rows
+ * @param {Element} row - Outcome row returned by findStableContainer
+ * @returns {Element|null} Nearest ancestor containing at least two outcome rows
+ */
+function findEventContainer(row) {
+  let current = row?.parentElement;
+  let maxDepth = 6; // Limit traversal depth
+  
+  while (current && current !== document.body && maxDepth > 0) {
+    if (getCachedEventOutcomeRows(current).length >= 2) {
+      return current;
+    }
+    current = current.parentElement;
+    maxDepth--;
+  }
+  
+  return null;
+}
+
+/**
+ * Get the outcome rows of an event container with the probability that represents each row
+ * The row's chance percentage is preferred; otherwise the first price (the YES price) is used
+ * @param {Element} eventContainer - Event container element
+ * @returns {Array<{row: Element, textNode: Text, probability: number}>} One entry per outcome row
+ */
+function getEventOutcomeRows(eventContainer) {
+  const rows = new Map();
+  
+  const walker = document.createTreeWalker(
+    eventContainer,
+    NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: function(node) {
+        const parentTag = node.parentElement?.tagName?.toLowerCase();
+        if (parentTag === 'script' || parentTag === 'style') {
+          return NodeFilter.FILTER_REJECT;
+        }
+        // Skip our own injected odds
+        if (node.parentElement?.closest('[data-kalshi-ao-odds]')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    }
+  );
+  
+  let textNode;
+  while (textNode = walker.nextNode()) {
+    const text = textNode.textContent?.trim();
+    if (!text || !textNode.parentElement) continue;
+    
+    const isPercent = isProbabilityText(text);
+    if (!isPercent && !isPriceText(text)) continue;
+    
+    const row = findStableContainer(textNode.parentElement);
+    if (!row || row === eventContainer) continue;
+    
+    const existing = rows.get(row);
+    if (existing && (existing.isPercent || !isPercent)) continue;
+    
+    const probability = isPercent
+      ? parseInt(text.replace('%', '')) / 100
+      : parseFloat(text.replace('$', ''));
+    
+    rows.set(row, { row, textNode, probability, isPercent });
+  }
+  
+  return Array.from(rows.values());
+}
+
+/**
+ * Get an event container's outcome rows, scanning each container once per processing pass
+ */
+function getCachedEventOutcomeRows(eventContainer) {
+  if (!fairOddsPassCache) {
+    return getEventOutcomeRows(eventContainer);
+  }
+  
+  if (!fairOddsPassCache.outcomeRows.has(eventContainer)) {
+    fairOddsPassCache.outcomeRows.set(eventContainer, getEventOutcomeRows(eventContainer));
+  }
+  return fairOddsPassCache.outcomeRows.get(eventContainer);
+}
+
+/**
+ * De-vig an event's outcomes, once per event per processing pass
+ * @param {Element} eventContainer - Event container element
+ * @returns {{outcomes: Array, fairProbabilities: number[]|null, rendered: Set<Text>}} Outcomes and their fair probabilities
+ */
+function getEventFairProbabilities(eventContainer) {
+  const cached = fairOddsPassCache?.events.get(eventContainer);
+  if (cached) return cached;
+  
+  const outcomes = getCachedEventOutcomeRows(eventContainer);
+  const fairProbabilities = devigProbabilities(
+    outcomes.map(outcome => outcome.probability),
+    settings.devigMethod
+  );
+  
+  KalshiLogger.debug('CALCULATION', 'De-vigged event outcomes', {
+    method: settings.devigMethod,
+    outcomes: outcomes.length,
+    overround: outcomes.reduce((sum, outcome) => sum + outcome.probability, 0) - 1
+  });
+  
+  // rendered tracks nodes whose badges were built this pass, so only the other rows are refreshed
+  const event = { outcomes, fairProbabilities, rendered: new Set() };
+  fairOddsPassCache?.events.set(eventContainer, event);
+  return event;
+}
+
+/**
+ * Get the de-vigged probability for a probability text node
+ * @param {Text} textNode - Text node holding the row's percentage or price
+ * @param {number} probability - Raw implied probability of the node
+ * @returns {number|null} Fair probability, or null when the node can't be grouped with an event
+ */
+function getFairProbabilityForNode(textNode, probability) {
+  try {
+    const row = findStableContainer(textNode.parentElement);
+    const eventContainer = findEventContainer(row);
+    if (!eventContainer) {
+      return null;
+    }
+    
+    const event = getEventFairProbabilities(eventContainer);
+    const index = event.outcomes.findIndex(outcome => outcome.textNode === textNode);
+    
+    // Only the representative probability of each row has a fair counterpart
+    if (index === -1 || !event.fairProbabilities) {
+      return null;
+    }
+    
+    event.rendered.add(textNode);
+    return event.fairProbabilities[index];
+  } catch (error) {
+    console.debug('Error computing fair probability:', error);
+    return null;
+  }
+}
+
+/**
+ * Re-render fair odds on rows whose badges predate this pass
+ * One outcome's price moving shifts the de-vigged probability of every other outcome in its event
+ */
+function refreshSiblingFairOdds() {
+  fairOddsPassCache?.events.forEach(event => {
+    if (!event.fairProbabilities) return;
+    
+    event.outcomes.forEach((outcome, index) => {
+      if (event.rendered.has(outcome.textNode)) return;
+      
+      const parentElement = outcome.textNode.parentElement;
+      const oddsElement = parentElement?.nextElementSibling;
+      if (!oddsElement?.hasAttribute('data-kalshi-ao-odds') || !oddsElement.hasAttribute('data-fair-probability')) {
+        return;
+      }
+      
+      const previous = parseFloat(oddsElement.getAttribute('data-fair-probability'));
+      if (Math.abs(previous - event.fairProbabilities[index]) < 1e-9) return;
+      
+      oddsElement.remove();
+      parentElement.removeAttribute('data-kalshi-ao');
+      injectOddsForNode(outcome.textNode, outcome.probability, outcome.isPercent ? 'percent' : 'price');
+    });
+  });
+}
+
+// ============================================================================
+// MARKET PROBABILITY ESTIMATES AND EXPECTED-VALUE BADGES
+// ============================================================================
+
+// Contracts assumed when pricing fees for EV badges (amortizes Kalshi's per-order rounding)
+const EV_BADGE_REFERENCE_QUANTITY = 100;
+
+/**
+ * Parse a Kalshi market ticker from a /markets/... path
+ * @param {string} pathname - URL pathname such as /markets/kxfed/fed-decision/kxfed-25dec
+ * @returns {string|null} Upper-cased ticker or null if the path is not a market path
+ */
+function parseMarketTickerFromPath(pathname) {
+  if (!pathname || typeof pathname !== 'string') return null;
+  
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments[0] !== 'markets' || segments.length < 2) {
+    return null;
+  }
+  
+  return decodeURIComponent(segments[segments.length - 1]).toUpperCase();
+}
+
+/**
+ * Get the market ticker for an element from a market link in its row
+ * Without a link, the page URL's ticker is used only when the row is the page's single market;
+ * on event pages the URL names the event, which every outcome row would otherwise share
+ * @param {Element} element - Element inside a market row
+ * @returns {string|null} Market ticker or null if the row has no market of its own
+ */
+function getMarketTickerForElement(element) {
+  let row = null;
+  try {
+    row = element ? findStableContainer(element) : null;
+    const link = element?.closest?.('a[href*="/markets/"]') ||
+                 row?.querySelector?.('a[href*="/markets/"]');
+    
+    if (link) {
+      const ticker = parseMarketTickerFromPath(new URL(link.href, window.location.origin).pathname);
+      if (ticker) return ticker;
+    }
+  } catch (error) {
+    console.debug('Error reading market ticker from row:', error);
+  }
+  
+  // A row with sibling outcome rows is one of several markets on the page
+  if (row && findEventContainer(row)) {
+    return null;
+  }
+  return parseMarketTickerFromPath(window.location.pathname);
+}
+
+/**
+ * Check whether a text node is the probability that represents its row
+ * The chance percentage wins; without one, the first price (the YES price) is used
+ * @param {Text} textNode - Probability or price text node
+ * @param {Element} row - Row container of the node
+ * @returns {boolean} True if the node is the row's primary probability
+ */
+function isRowPrimaryTextNode(textNode, row) {
+  if (!row || !textNode) return false;
+  
+  const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT, null, false);
+  let firstPrice = null;
+  let node;
+  
+  while (node = walker.nextNode()) {
+    if (node.parentElement?.closest('[data-kalshi-ao-odds]')) continue;
+    
+    const text = node.textContent?.trim();
+    if (isProbabilityText(text)) {
+      return node === textNode;
+    }
+    if (!firstPrice && isPriceText(text)) {
+      firstPrice = node;
+    }
+  }
+  
+  return firstPrice === textNode;
+}
+
+/**
+ * Load the user's probability estimates from local storage
+ */
+async function loadMarketEstimates() {
+  try {
+    const result = await chrome.storage.local.get({ marketEstimates: {} });
+    marketEstimates = result.marketEstimates || {};
+    KalshiLogger.debug('CONFIGURATION', 'Market estimates loaded', { count: Object.keys(marketEstimates).length });
+  } catch (error) {
+    console.error('Failed to load market estimates:', error);
+    marketEstimates = {};
+  }
+}
+
+/**
+ * Calculate after-fee expected value of buying YES at a price given the user's probability
+ * @param {number} myProbability - User's probability that the market resolves YES (0-1)
+ * @param {number} price - YES price (0.01 to 0.99)
+ * @param {number} quantity - Contracts used to price the taker fee
+ * @param {string|null} seriesTicker - Series whose fee schedule applies (defaults to the current page's)
+ * @returns {Object|null} EV per dollar, edge in cents and the cost used, or null if invalid
+ */
+function calculateExpectedValue(myProbability, price, quantity = EV_BADGE_REFERENCE_QUANTITY, seriesTicker = getSeriesTicker()) {
+  if (typeof myProbability !== 'number' || myProbability < 0 || myProbability > 1 || typeof price !== 'number' || price <= 0 || price >= 1) {
+    return null;
+  }
+  
+  const feeEstimate = calculateKalshiFeeEstimate(price, quantity, { feeType: 'taker', seriesTicker });
+  if (!feeEstimate) {
+    return null;
+  }
+  
+  const cost = price + feeEstimate.perContractFee;
+  const evPerContract = myProbability - cost;
+  
+  return {
+    evPerDollar: evPerContract / cost,
+    edgeCents: evPerContract * 100,
+    cost,
+    feePerContract: feeEstimate.perContractFee,
+    isPositive: evPerContract > 0
+  };
+}
+
+/**
+ * Attach (or refresh) the EV badge inside an injected odds element
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function attachEvBadge(oddsElement) {
+  if (!oddsElement) return;
+  
+  const row = oddsElement.parentElement ? findStableContainer(oddsElement.parentElement) : null;
+  oddsElement.querySelectorAll('[data-kalshi-ao-ev]').forEach(badge => badge.remove());
+  row?.classList.remove('kalshi-ao-positive-ev-row');
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  const estimate = ticker ? marketEstimates[ticker] : null;
+  if (!estimate || oddsElement.getAttribute('data-row-primary') !== '1') {
+    return;
+  }
+  
+  const price = parseFloat(oddsElement.getAttribute('data-probability'));
+  const ev = calculateExpectedValue(estimate.probability, price, EV_BADGE_REFERENCE_QUANTITY, getSeriesTicker(ticker));
+  if (!ev) return;
+  
+  const sign = (value) => value > 0 ? '+' : '';
+  const badge = document.createElement('span');
+  badge.className = `kalshi-ao-ev-badge ${ev.isPositive ? 'positive' : 'negative'}`;
+  badge.setAttribute('data-kalshi-ao-ev', '1');
+  badge.textContent = ` EV ${sign(ev.evPerDollar)}$${ev.evPerDollar.toFixed(3)}/$ · ${sign(ev.edgeCents)}${ev.edgeCents.toFixed(1)}¢`;
+  badge.title = `Your probability: ${(estimate.probability * 100).toFixed(1)}%\n` +
+    `Cost incl. taker fee (${EV_BADGE_REFERENCE_QUANTITY} contracts): $${ev.cost.toFixed(4)}\n` +
+    `EV per $1 staked: ${sign(ev.evPerDollar)}$${ev.evPerDollar.toFixed(3)}\n` +
+    `Edge after fees: ${sign(ev.edgeCents)}${ev.edgeCents.toFixed(1)}¢ per contract`;
+  
+  oddsElement.appendChild(badge);
+  if (ev.isPositive) {
+    row?.classList.add('kalshi-ao-positive-ev-row');
+  }
+}
+
+/**
+ * Re-render EV badges on every injected odds element
+ */
+function refreshEvBadges() {
+  document.querySelectorAll('[data-kalshi-ao-odds]').forEach(attachEvBadge);
+}
+
+/**
+ * Keep estimates in sync when they are edited from the popup
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.marketEstimates) {
+    marketEstimates = changes.marketEstimates.newValue || {};
+    refreshEvBadges();
+  }
+});
+
+// ============================================================================
+// KELLY STAKE SIZING (HELPER PANEL)
+// ============================================================================
+
+/**
+ * Calculate a Kelly-criterion stake for buying a binary contract
+ * @param {number} fairProbability - User's probability that the bought side wins (0-1)
+ * @param {number} cost - All-in cost per contract including fees (0-1)
+ * @param {number} bankroll - Bankroll in dollars
+ * @param {number} kellyFraction - Multiplier applied to the full Kelly stake (0-1]
+ * @returns {Object|null} Kelly fractions, dollar stake and whole contracts, or null if invalid
+ */
+function calculateKellyStake(fairProbability, cost, bankroll, kellyFraction = 1) {
+  if (typeof fairProbability !== 'number' || fairProbability <= 0 || fairProbability >= 1 ||
+      typeof cost !== 'number' || cost <= 0 || cost >= 1 ||
+      typeof bankroll !== 'number' || !isFinite(bankroll) || bankroll <= 0 ||
+      typeof kellyFraction !== 'number' || kellyFraction <= 0 || kellyFraction > 1) {
+    return null;
+  }
+  
+  // Net odds b = profit / risk; f* = (b·p - q) / b simplifies to (p - cost) / (1 - cost)
+  const fullKellyFraction = (fairProbability - cost) / (1 - cost);
+  const stakeFraction = Math.max(0, fullKellyFraction * kellyFraction);
+  const stake = bankroll * stakeFraction;
+  
+  return {
+    fullKellyFraction,
+    stakeFraction,
+    stake,
+    contracts: Math.floor(stake / cost),
+    hasEdge: fullKellyFraction > 0
+  };
+}
+
+/**
+ * Get the Kelly fraction currently selected in the panel
+ * @param {Element} panel - Helper panel element
+ * @returns {number|null} Fraction in (0, 1] or null if the custom value is invalid
+ */
+function getSelectedKellyFraction(panel) {
+  const select = panel.querySelector('#kalshi-ao-kelly-fraction');
+  const customInput = panel.querySelector('#kalshi-ao-kelly-custom');
+  
+  const value = select.value === 'custom' ? parseFloat(customInput.value) : parseFloat(select.value);
+  if (isNaN(value) || value <= 0 || value > 1) {
+    return null;
+  }
+  
+  return value;
+}
+
+/**
+ * Setup Kelly input listeners and restore saved bankroll and fraction
+ */
+function setupKellyEventListeners(panel) {
+  const fairOddsInput = panel.querySelector('#kalshi-ao-fair-odds-input');
+  const bankrollInput = panel.querySelector('#kalshi-ao-bankroll-input');
+  const fractionSelect = panel.querySelector('#kalshi-ao-kelly-fraction');
+  const customInput = panel.querySelector('#kalshi-ao-kelly-custom');
+  
+  if (!fairOddsInput || !bankrollInput || !fractionSelect || !customInput) return;
+  
+  const onKellyInput = function(e) {
+    e.stopPropagation();
+    clearTimeout(this.kellyTimer);
+    this.kellyTimer = setTimeout(() => {
+      customInput.style.display = fractionSelect.value === 'custom' ? 'block' : 'none';
+      saveKellyPreferences(panel);
+      updateKellyRecommendation(panel);
+    }, 300); // Debounce input
+  };
+  
+  [fairOddsInput, bankrollInput, fractionSelect, customInput].forEach(input => {
+    input.addEventListener('input', onKellyInput);
+    input.addEventListener('change', onKellyInput);
+    input.addEventListener('keydown', function(e) {
+      e.stopPropagation();
+    });
+  });
+  
+  // Restore saved preferences
+  chrome.storage.local.get({ kellyPreferences: null }).then(({ kellyPreferences }) => {
+    if (!kellyPreferences) return;
+    
+    if (kellyPreferences.bankroll) {
+      bankrollInput.value = kellyPreferences.bankroll;
+    }
+    
+    const presetOption = Array.from(fractionSelect.options)
+      .find(option => parseFloat(option.value) === kellyPreferences.fraction);
+    if (presetOption) {
+      fractionSelect.value = presetOption.value;
+    } else if (kellyPreferences.fraction) {
+      fractionSelect.value = 'custom';
+      customInput.value = kellyPreferences.fraction;
+      customInput.style.display = 'block';
+    }
+    
+    updateKellyRecommendation(panel);
+  }).catch(error => {
+    console.warn('Failed to load Kelly preferences:', error);
+  });
+}
+
+/**
+ * Persist bankroll and Kelly fraction across tickets
+ */
+function saveKellyPreferences(panel) {
+  const bankroll = parseFloat(panel.querySelector('#kalshi-ao-bankroll-input').value);
+  const fraction = getSelectedKellyFraction(panel);
+  
+  helperPanelState.kellyBankroll = isNaN(bankroll) ? null : bankroll;
+  if (fraction !== null) {
+    helperPanelState.kellyFraction = fraction;
+  }
+  
+  chrome.storage.local.set({
+    kellyPreferences: {
+      bankroll: helperPanelState.kellyBankroll,
+      fraction: helperPanelState.kellyFraction
+    }
+  }).catch(error => {
+    console.warn('Failed to save Kelly preferences:', error);
+  });
+}
+
+/**
+ * Recalculate the recommended contract count shown in the helper panel
+ * Uses the suggested price when target odds are entered, otherwise the ticket's limit price
+ */
+function updateKellyRecommendation(panel) {
+  if (!panel) return;
+  
+  const contractsEl = panel.querySelector('#kalshi-ao-kelly-contracts');
+  const detailEl = panel.querySelector('#kalshi-ao-kelly-detail');
+  const warningEl = panel.querySelector('#kalshi-ao-kelly-warning');
+  if (!contractsEl || !detailEl || !warningEl) return;
+  
+  const showEmpty = (message) => {
+    contractsEl.textContent = '--';
+    detailEl.textContent = message;
+    warningEl.style.display = 'none';
+  };
+  
+  const fairOdds = parseAmericanOdds(panel.querySelector('#kalshi-ao-fair-odds-input').value);
+  const bankroll = parseFloat(panel.querySelector('#kalshi-ao-bankroll-input').value);
+  const kellyFraction = getSelectedKellyFraction(panel);
+  
+  if (fairOdds === null || isNaN(bankroll) || bankroll <= 0) {
+    showEmpty('Enter your fair odds and bankroll');
+    return;
+  }
+  
+  if (kellyFraction === null) {
+    showEmpty('Custom Kelly fraction must be between 0 and 1');
+    return;
+  }
+  
+  const ticketData = helperPanelState.lastTicketData;
+  const price = helperPanelState.currentOdds !== null && helperPanelState.suggestedPrice
+    ? helperPanelState.suggestedPrice
+    : ticketData?.price;
+  
+  if (typeof price !== 'number' || price <= 0 || price >= 1) {
+    showEmpty('Enter target odds or a ticket limit price');
+    return;
+  }
+  
+  const afterFeeResult = calculateAfterFeeOddsForHelper(price, helperPanelState.currentSide, ticketData);
+  const feePerContract = afterFeeResult?.feePerContract;
+  if (typeof feePerContract !== 'number') {
+    showEmpty(afterFeeResult?.error || 'Requires fee information');
+    return;
+  }
+  
+  const cost = price + feePerContract;
+  const kelly = calculateKellyStake(americanOddsToProbability(fairOdds), cost, bankroll, kellyFraction);
+  if (!kelly) {
+    showEmpty('Unable to size this price');
+    return;
+  }
+  
+  if (!kelly.hasEdge) {
+    contractsEl.textContent = '0';
+    detailEl.textContent = `No edge: fair ${formatAmericanOddsDisplay(fairOdds)} vs after-fee ${formatAmericanOddsDisplay(afterFeeResult.afterFeeOdds)}`;
+  } else {
+    contractsEl.textContent = String(kelly.contracts);
+    detailEl.textContent = `$${kelly.stake.toFixed(2)} stake (${(kelly.stakeFraction * 100).toFixed(1)}% of bankroll) at $${cost.toFixed(4)}/contract`;
+  }
+  
+  // Warn when the ticket is sized above the Kelly amount
+  const ticketQuantity = ticketData?.quantity;
+  if (typeof ticketQuantity === 'number' && ticketQuantity > kelly.contracts) {
+    warningEl.textContent = `Ticket quantity ${ticketQuantity} exceeds the Kelly amount of ${kelly.contracts}`;
+    warningEl.style.display = 'block';
+  } else {
+    warningEl.style.display = 'none';
+  }
+}
+
+// ============================================================================
+// LADDER ORDER PLANNER (HELPER PANEL)
+// ============================================================================
+
+// Upper bound on rungs so the table stays readable inside the panel
+const LADDER_MAX_RUNGS = 20;
+
+/**
+ * Parse one end of a ladder range as a price
+ * Accepts American odds (+150, -200), cents (40, 40¢) or dollars (0.40, $0.40)
+ * @param {string} text - User input
+ * @param {string} side - 'YES' or 'NO', used to convert odds with calculateSuggestedPrice
+ * @returns {number|null} Price in dollars rounded to the cent, or null if invalid
+ */
+function parseLadderBound(text, side) {
+  if (!text || typeof text !== 'string') return null;
+  
+  const cleaned = text.replace(/\s+/g, '');
+  if (!cleaned) return null;
+  
+  let price = null;
+  
+  if (/^[+-]/.test(cleaned) || parseFloat(cleaned) >= 100) {
+    const odds = parseAmericanOdds(cleaned);
+    price = odds !== null ? calculateSuggestedPrice(odds, side) : null;
+  } else {
+    const value = parseFloat(cleaned.replace(/[$¢]/g, ''));
+    if (isNaN(value)) return null;
+    price = cleaned.includes('¢') || value >= 1 ? value / 100 : value;
+  }
+  
+  if (price === null || price < 0.01 || price > 0.99) {
+    return null;
+  }
+  
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Split a position across evenly spaced limit prices and price each rung's fees
+ * @param {number} startPrice - First rung price in dollars
+ * @param {number} endPrice - Last rung price in dollars
+ * @param {number} rungs - Number of rungs
+ * @param {number} totalContracts - Contracts to spread across the rungs
+ * @param {string} side - 'YES' or 'NO', used to decide maker vs taker per rung
+ * @returns {Object|null} Rungs, blended figures and the single-order comparison, or null if invalid
+ */
+function buildLadderPlan(startPrice, endPrice, rungs, totalContracts, side) {
+  if (!Number.isInteger(rungs) || rungs < 1 || rungs > LADDER_MAX_RUNGS ||
+      !Number.isInteger(totalContracts) || totalContracts < rungs) {
+    return null;
+  }
+  
+  // Evenly spaced prices on the cent grid; duplicates collapse when the range is narrower than the rungs
+  const prices = [];
+  for (let i = 0; i < rungs; i++) {
+    const raw = rungs === 1 ? startPrice : startPrice + (endPrice - startPrice) * i / (rungs - 1);
+    const cents = Math.round(raw * 100);
+    if (!prices.includes(cents)) {
+      prices.push(cents);
+    }
+  }
+  
+  const baseContracts = Math.floor(totalContracts / prices.length);
+  const remainder = totalContracts % prices.length;
+  
+  const rungPlans = [];
+  for (let i = 0; i < prices.length; i++) {
+    const price = prices[i] / 100;
+    const contracts = baseContracts + (i < remainder ? 1 : 0);
+    const orderRole = detectOrderRole(price, side);
+    const feeEstimate = calculateKalshiFeeEstimate(price, contracts, { feeType: orderRole.feeType });
+    if (!feeEstimate) return null;
+    
+    rungPlans.push({
+      price,
+      contracts,
+      feeType: orderRole.feeType,
+      fee: feeEstimate.totalFee,
+      cost: price * contracts + feeEstimate.totalFee
+    });
+  }
+  
+  const totalFees = rungPlans.reduce((sum, rung) => sum + rung.fee, 0);
+  const notional = rungPlans.reduce((sum, rung) => sum + rung.price * rung.contracts, 0);
+  const averagePrice = notional / totalContracts;
+  const feePerContract = totalFees / totalContracts;
+  
+  // The same position as one order at the blended price, to isolate per-order rounding
+  const singleOrderRole = detectOrderRole(averagePrice, side);
+  const singleOrderFee = calculateKalshiFeeEstimate(averagePrice, totalContracts, { feeType: singleOrderRole.feeType });
+  
+  return {
+    rungs: rungPlans,
+    totalContracts,
+    totalFees,
+    averagePrice,
+    feePerContract,
+    totalCost: notional + totalFees,
+    afterFeeOdds: calculateAfterFeeOdds(averagePrice, feePerContract, { enableValidation: false }),
+    singleOrderFee: singleOrderFee ? singleOrderFee.totalFee : null,
+    roundingCost: singleOrderFee ? totalFees - singleOrderFee.totalFee : null
+  };
+}
+
+/**
+ * Setup ladder input listeners
+ */
+function setupLadderEventListeners(panel) {
+  const inputs = ['#kalshi-ao-ladder-start', '#kalshi-ao-ladder-end', '#kalshi-ao-ladder-rungs', '#kalshi-ao-ladder-total']
+    .map(selector => panel.querySelector(selector))
+    .filter(Boolean);
+  
+  inputs.forEach(input => {
+    input.addEventListener('input', function(e) {
+      e.stopPropagation();
+      clearTimeout(this.ladderTimer);
+      this.ladderTimer = setTimeout(() => updateLadderPlan(panel), 300); // Debounce input
+    });
+    input.addEventListener('keydown', function(e) {
+      e.stopPropagation();
+    });
+  });
+}
+
+/**
+ * Recalculate and render the ladder table
+ */
+function updateLadderPlan(panel) {
+  const statusEl = panel.querySelector('#kalshi-ao-ladder-status');
+  const outputEl = panel.querySelector('#kalshi-ao-ladder-output');
+  if (!statusEl || !outputEl) return;
+  
+  const side = helperPanelState.currentSide || helperPanelState.lastTicketData?.side || 'YES';
+  const startPrice = parseLadderBound(panel.querySelector('#kalshi-ao-ladder-start').value, side);
+  const endPrice = parseLadderBound(panel.querySelector('#kalshi-ao-ladder-end').value, side);
+  const rungs = parseInt(panel.querySelector('#kalshi-ao-ladder-rungs').value, 10);
+  const totalContracts = parseInt(panel.querySelector('#kalshi-ao-ladder-total').value, 10);
+  
+  outputEl.innerHTML = '';
+  
+  if (startPrice === null || endPrice === null) {
+    statusEl.textContent = 'Enter a price (40¢, 0.40) or odds (+150) range between 1¢ and 99¢';
+    return;
+  }
+  
+  if (isNaN(rungs) || rungs < 1 || rungs > LADDER_MAX_RUNGS) {
+    statusEl.textContent = `Rungs must be between 1 and ${LADDER_MAX_RUNGS}`;
+    return;
+  }
+  
+  if (isNaN(totalContracts) || totalContracts < rungs) {
+    statusEl.textContent = 'Contracts must be at least the number of rungs';
+    return;
+  }
+  
+  const plan = buildLadderPlan(startPrice, endPrice, rungs, totalContracts, side);
+  if (!plan) {
+    statusEl.textContent = 'Unable to build a ladder for this range';
+    return;
+  }
+  
+  statusEl.textContent = `${side} ladder, ${plan.rungs.length} rung${plan.rungs.length === 1 ? '' : 's'}` +
+    (plan.rungs.length < rungs ? ' (range narrower than requested rungs)' : '');
+  
+  const rows = plan.rungs.map(rung => `
+    <tr>
+      <td>$${rung.price.toFixed(2)}</td>
+      <td>${rung.contracts}</td>
+      <td>$${rung.fee.toFixed(2)} <span class="ladder-fee-type">${rung.feeType}</span></td>
+      <td>$${rung.cost.toFixed(2)}</td>
+    </tr>
+  `).join('');
+  
+  const roundingNote = plan.roundingCost === null ? '' : plan.roundingCost > 0.0001
+    ? `Per-order fee rounding costs $${plan.roundingCost.toFixed(2)} more than one ${plan.totalContracts}-contract order at the blended price ($${plan.singleOrderFee.toFixed(2)} fee)`
+    : `No rounding penalty versus one ${plan.totalContracts}-contract order ($${plan.singleOrderFee.toFixed(2)} fee)`;
+  
+  outputEl.innerHTML = `
+    <table class="ladder-table">
+      <thead>
+        <tr><th>Price</th><th>Qty</th><th>Fee</th><th>Cost</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        <tr><td>$${plan.averagePrice.toFixed(4)}</td><td>${plan.totalContracts}</td><td>$${plan.totalFees.toFixed(2)}</td><td>$${plan.totalCost.toFixed(2)}</td></tr>
+      </tfoot>
+    </table>
+    <div class="helper-text">
+      Blended after-fee odds: <strong>${plan.afterFeeOdds !== null ? formatAmericanOddsDisplay(plan.afterFeeOdds) : 'N/A'}</strong>
+      ($${plan.feePerContract.toFixed(4)} fee/contract)
+    </div>
+    <div class="helper-text ladder-rounding">${roundingNote}</div>
+  `;
+}
+
+// ============================================================================
+// TRADE JOURNAL
+// ============================================================================
+
+// The same order clicked again within this window (double clicks, review → confirm) is journaled once
+const JOURNAL_DUPLICATE_WINDOW_MS = 10000;
+
+/**
+ * Find the ticket's final submit control
+ * Side toggles and outcome buttons ("Yes 45¢") also read "buy yes", and a review step
+ * doesn't place the order, so only the last submit-style button in the ticket counts
+ * @param {Element} ticketElement - The order ticket element
+ * @returns {Element|null} Submit button or null if none is found
+ */
+function findTicketSubmitButton(ticketElement) {
+  if (!ticketElement) return null;
+  
+  const submitKeywords = ['place order', 'submit', 'confirm', 'buy yes', 'buy no', 'sell yes', 'sell no', 'place bet'];
+  const candidates = Array.from(ticketElement.querySelectorAll('button')).filter(button => {
+    if (button.disabled || button.closest('.kalshi-ao-helper-panel')) return false;
+    // Toggles and tabs pick a side rather than submit
+    if (button.matches('[aria-pressed], [aria-selected], [role="tab"], [role="radio"]')) return false;
+    
+    const text = button.textContent?.trim().toLowerCase() || '';
+    if (text.includes('review') || /\d\s*¢|\$\s*0?\.\d/.test(text)) return false;
+    return button.type === 'submit' || submitKeywords.some(keyword => text.includes(keyword));
+  });
+  
+  return candidates[candidates.length - 1] || null;
+}
+
+/**
+ * Check whether a ticket button submits the order
+ * @param {Element} button - Button inside the order ticket
+ * @param {Element} ticketElement - The order ticket element
+ * @returns {boolean} True only for the ticket's final submit control
+ */
+function isTicketSubmitButton(button, ticketElement) {
+  if (!button || !ticketElement?.contains(button)) return false;
+  return findTicketSubmitButton(ticketElement) === button;
+}
+
+/**
+ * Identify an order for journal de-duplication
+ */
+function getJournalOrderKey(entry) {
+  return [entry.ticker, entry.side, entry.price, entry.quantity].join(':');
+}
+
+/**
+ * Build a journal entry from the current ticket snapshot
+ * @param {Element} ticketElement - The order ticket element
+ * @param {Object} ticketData - Parsed ticket data
+ * @returns {Object} Journal entry
+ */
+function createJournalEntry(ticketElement, ticketData) {
+  const afterFeeResult = ticketData.fee ? calculateAfterFeeOddsFromTicket(ticketData, { enableValidation: false }) : null;
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    marketTitle: getPageMarketTitle(),
+    ticker: getMarketTickerForElement(ticketElement),
+    url: window.location.href,
+    side: ticketData.side,
+    price: ticketData.price,
+    quantity: ticketData.quantity,
+    totalFee: ticketData.fee?.totalFee ?? null,
+    perContractFee: afterFeeResult?.feePerContract ?? ticketData.fee?.perContractFee ?? null,
+    feeSource: ticketData.fee?.feeSource || null,
+    afterFeeOdds: afterFeeResult?.afterFeeOdds ?? null
+  };
+}
+
+/**
+ * Record the ticket in the journal when the user submits it (opt-in)
+ */
+async function handleTicketSubmitClick(event) {
+  if (!settings.journalEnabled) return;
+  
+  const button = event.currentTarget;
+  const ticketElement = ticketState.ticketElement;
+  if (!isTicketSubmitButton(button, ticketElement)) return;
+  
+  try {
+    // Snapshot before Kalshi tears the ticket down
+    const ticketData = await parseTicketData(ticketElement);
+    if (!ticketData || ticketData.price === null || ticketData.quantity === null) {
+      KalshiLogger.warn('USER_INTERACTION', 'Skipping journal entry - incomplete ticket data', { errors: ticketData?.errors });
+      return;
+    }
+    
+    const entry = createJournalEntry(ticketElement, ticketData);
+    const orderKey = getJournalOrderKey(entry);
+    const last = ticketState.lastJournaledOrder;
+    if (last && last.key === orderKey && entry.timestamp - last.at < JOURNAL_DUPLICATE_WINDOW_MS) {
+      KalshiLogger.debug('USER_INTERACTION', 'Skipping duplicate journal entry', { orderKey });
+      return;
+    }
+    ticketState.lastJournaledOrder = { key: orderKey, at: entry.timestamp };
+    
+    const response = await chrome.runtime.sendMessage({ type: 'JOURNAL_ADD_ENTRY', entry });
+    
+    if (response?.success) {
+      KalshiLogger.info('USER_INTERACTION', 'Journal entry recorded', { id: entry.id, ticker: entry.ticker });
+    } else {
+      console.warn('Failed to record journal entry:', response?.error);
+    }
+  } catch (error) {
+    console.error('Error recording journal entry:', error);
+  }
+}
+
+// ============================================================================
+// PRICE ALERTS
+// ============================================================================
+
+// Observed prices are batched and sent to the background at most this often
+const PRICE_REPORT_INTERVAL_MS = 2000;
+
+/**
+ * Queue the price shown by an odds element for the background alert check
+ * Only the row's primary probability is reported so YES/NO prices aren't mixed, and only
+ * for rows with a market of their own (see getMarketTickerForElement). Each batch carries
+ * one row per ticker, so two rows naming the same market can't overwrite each other
+ * @param {Element} oddsElement - Element created by createOddsElement
+ * @param {number} [probability] - Current value, defaults to the element's data-probability
+ */
+function reportObservedPrice(oddsElement, probability) {
+  if (!oddsElement || oddsElement.getAttribute('data-row-primary') !== '1') return;
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  const price = probability ?? parseFloat(oddsElement.getAttribute('data-probability'));
+  if (!ticker || typeof price !== 'number' || !(price > 0 && price < 1)) return;
+  
+  // The row that reported a market first keeps it until the batch is sent; a later row only
+  // takes over when it shows the "chance" percentage and the first showed a price
+  const row = oddsElement.parentElement ? findStableContainer(oddsElement.parentElement) : null;
+  const matchType = oddsElement.getAttribute('data-match-type');
+  const existing = pendingPriceObservations.get(ticker);
+  if (existing && existing.row !== row && (existing.matchType === 'percent' || matchType !== 'percent')) return;
+  
+  pendingPriceObservations.set(ticker, { ticker, price, matchType, observedAt: Date.now(), row });
+  
+  if (!priceReportTimer) {
+    priceReportTimer = setTimeout(flushObservedPrices, PRICE_REPORT_INTERVAL_MS);
+  }
+}
+
+/**
+ * Send queued price observations to the background worker
+ */
+async function flushObservedPrices() {
+  priceReportTimer = null;
+  if (pendingPriceObservations.size === 0) return;
+  
+  const observations = [...pendingPriceObservations.values()].map(({ row, ...observation }) => observation);
+  pendingPriceObservations.clear();
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'PRICES_OBSERVED', observations, url: window.location.href });
+  } catch (error) {
+    // Extension context may be invalidated after an update - nothing to do until reload
+    console.debug('Could not report observed prices:', error.message);
+  }
+}
+
+/**
+ * Report a price change on an already-processed probability node
+ * @param {Text} textNode - Text node whose content changed
+ */
+function observePriceTextChange(textNode) {
+  const parentElement = textNode?.parentElement;
+  if (!parentElement?.hasAttribute('data-kalshi-ao')) return;
+  
+  const oddsElement = parentElement.nextElementSibling;
+  if (!oddsElement?.hasAttribute('data-kalshi-ao-odds')) return;
+  
+  const text = textNode.textContent.trim();
+  let probability = null;
+  if (isProbabilityText(text)) {
+    probability = parseInt(text, 10) / 100;
+  } else if (isPriceText(text)) {
+    probability = parseFloat(text.replace('$', ''));
+  }
+  
+  if (probability !== null && !isNaN(probability)) {
+    reportObservedPrice(oddsElement, probability);
+  }
+}
+
+/**
+ * Add the alert bell after a row's primary odds element
+ * The odds element itself ignores pointer events, so the bell is a sibling
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function attachAlertButton(oddsElement) {
+  if (!oddsElement || oddsElement.getAttribute('data-row-primary') !== '1') return;
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  if (!ticker || oddsElement.nextElementSibling?.hasAttribute('data-kalshi-ao-alert-button')) return;
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'kalshi-ao-alert-button';
+  button.setAttribute('data-kalshi-ao-alert-button', '1');
+  button.setAttribute('aria-label', `Set price alert for ${ticker}`);
+  button.title = `Set price alert for ${ticker}`;
+  button.textContent = '🔔';
+  
+  button.addEventListener('click', (event) => {
+    // Rows are often links; keep the click from navigating
+    event.preventDefault();
+    event.stopPropagation();
+    openAlertPopover(button, oddsElement);
+  });
+  
+  oddsElement.after(button);
+}
+
+/**
+ * Close the alert popover if one is open
+ */
+function closeAlertPopover() {
+  document.querySelectorAll('.kalshi-ao-alert-popover').forEach(popover => popover.remove());
+  document.removeEventListener('mousedown', handleAlertPopoverOutsideClick, true);
+}
+
+/**
+ * Close the popover when clicking elsewhere on the page
+ */
+function handleAlertPopoverOutsideClick(event) {
+  if (!event.target.closest?.('.kalshi-ao-alert-popover, [data-kalshi-ao-alert-button], [data-kalshi-ao-book-button]')) {
+    closeAlertPopover();
+  }
+}
+
+/**
+ * Show the alert form next to a bell button
+ * @param {Element} button - Bell button that was clicked
+ * @param {Element} oddsElement - Odds element the alert is for
+ */
+function openAlertPopover(button, oddsElement) {
+  closeAlertPopover();
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  const currentPrice = parseFloat(oddsElement.getAttribute('data-probability'));
+  const currentOdds = probabilityToAmericanOdds(currentPrice);
+  
+  const popover = document.createElement('div');
+  popover.className = 'kalshi-ao-alert-popover';
+  popover.innerHTML = `
+    <div class="alert-popover-title">Alert for ${ticker}</div>
+    <div class="alert-popover-current">Now ${Math.round(currentPrice * 100)}¢${currentOdds !== null ? ` (${formatAmericanOddsDisplay(currentOdds)})` : ''}</div>
+    <input type="text" class="alert-popover-input" placeholder="35¢ or +180" autocomplete="off">
+    <div class="alert-popover-actions">
+      <button type="button" class="alert-popover-save">Set alert</button>
+      <button type="button" class="alert-popover-cancel">Cancel</button>
+    </div>
+    <div class="alert-popover-status"></div>
+  `;
+  
+  const rect = button.getBoundingClientRect();
+  popover.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 140)}px`;
+  popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 220))}px`;
+  
+  // Keep clicks and keystrokes from reaching Kalshi's handlers
+  popover.addEventListener('click', (event) => event.stopPropagation());
+  popover.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      popover.querySelector('.alert-popover-save').click();
+    } else if (event.key === 'Escape') {
+      closeAlertPopover();
+    }
+  });
+  
+  popover.querySelector('.alert-popover-cancel').addEventListener('click', closeAlertPopover);
+  popover.querySelector('.alert-popover-save').addEventListener('click', async () => {
+    const status = popover.querySelector('.alert-popover-status');
+    const input = popover.querySelector('.alert-popover-input').value.trim();
+    const threshold = parseLadderBound(input, 'YES');
+    
+    if (threshold === null) {
+      status.textContent = 'Enter a price (1-99¢) or American odds';
+      return;
+    }
+    
+    const result = await createPriceAlert(ticker, threshold, currentPrice, input);
+    if (result.success) {
+      closeAlertPopover();
+    } else {
+      status.textContent = result.error;
+    }
+  });
+  
+  document.body.appendChild(popover);
+  document.addEventListener('mousedown', handleAlertPopoverOutsideClick, true);
+  popover.querySelector('.alert-popover-input').focus();
+}
+
+/**
+ * Store a price alert through the background worker
+ * The direction is fixed at creation: the alert fires when the price crosses from
+ * the current side of the threshold to the other
+ * @param {string} ticker - Market ticker
+ * @param {number} threshold - Threshold YES price (0.01-0.99)
+ * @param {number} currentPrice - YES price when the alert is created
+ * @param {string} label - What the user typed, shown in notifications
+ * @returns {Promise<Object>} { success, error }
+ */
+async function createPriceAlert(ticker, threshold, currentPrice, label) {
+  if (Math.abs(threshold - currentPrice) < 0.005) {
+    return { success: false, error: 'Threshold equals the current price' };
+  }
+  
+  const alert = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    ticker,
+    marketTitle: getPageMarketTitle(),
+    url: window.location.href,
+    threshold,
+    label: label || `${Math.round(threshold * 100)}¢`,
+    direction: threshold > currentPrice ? 'above' : 'below',
+    lastPrice: currentPrice,
+    status: 'active',
+    createdAt: Date.now()
+  };
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'ALERT_CREATE', alert });
+    if (!response?.success) {
+      return { success: false, error: response?.error || 'Could not save alert' };
+    }
+    
+    KalshiLogger.info('USER_INTERACTION', 'Price alert created', { ticker, threshold, direction: alert.direction });
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to create price alert:', error);
+    return { success: false, error: 'Could not reach the extension - reload the page' };
+  }
+}
+
+// ============================================================================
+// MARKET WATCHLIST
+// ============================================================================
+
+/**
+ * Load the watchlist from local storage
+ */
+async function loadWatchlist() {
+  try {
+    const result = await chrome.storage.local.get({ watchlist: {} });
+    watchlist = result.watchlist || {};
+  } catch (error) {
+    console.error('Failed to load watchlist:', error);
+    watchlist = {};
+  }
+}
+
+/**
+ * Find the latest injected primary price for a market on this page
+ * @param {string} ticker - Market ticker
+ * @returns {number|null} YES price or null if the market's odds aren't shown
+ */
+function getObservedPriceForTicker(ticker) {
+  const oddsElement = Array.from(document.querySelectorAll('[data-kalshi-ao-odds][data-row-primary="1"]'))
+    .find(element => element.getAttribute('data-market-ticker') === ticker);
+  const price = oddsElement ? parseFloat(oddsElement.getAttribute('data-probability')) : NaN;
+  return price > 0 && price < 1 ? price : null;
+}
+
+/**
+ * Create a star button that toggles a market on the watchlist
+ * @param {string} ticker - Market ticker
+ * @param {Function} getTitle - Returns the market title when the star is clicked
+ * @returns {HTMLButtonElement} Star button
+ */
+function createWatchlistStar(ticker, getTitle) {
+  const star = document.createElement('button');
+  star.type = 'button';
+  star.className = 'kalshi-ao-watch-star';
+  star.setAttribute('data-kalshi-ao-watch-star', '1');
+  star.setAttribute('data-market-ticker', ticker);
+  updateWatchlistStar(star);
+  
+  star.addEventListener('click', async (event) => {
+    // Titles and rows are often links; keep the click from navigating
+    event.preventDefault();
+    event.stopPropagation();
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'WATCHLIST_TOGGLE',
+        item: { ticker, title: getTitle() || ticker, url: window.location.href, lastPrice: getObservedPriceForTicker(ticker) }
+      });
+      
+      if (!response?.success) {
+        console.warn('Failed to update watchlist:', response?.error);
+      }
+    } catch (error) {
+      console.error('Error updating watchlist:', error);
+    }
+  });
+  
+  return star;
+}
+
+/**
+ * Sync a star's appearance with the watchlist
+ */
+function updateWatchlistStar(star) {
+  const ticker = star.getAttribute('data-market-ticker');
+  const isWatched = Boolean(watchlist[ticker]);
+  
+  star.textContent = isWatched ? '★' : '☆';
+  star.classList.toggle('watched', isWatched);
+  star.title = isWatched ? `Remove ${ticker} from watchlist` : `Add ${ticker} to watchlist`;
+  star.setAttribute('aria-pressed', String(isWatched));
+}
+
+/**
+ * Get the page's market title without the injected watchlist star
+ * @returns {string} Title text, falling back to the document title
+ */
+function getPageMarketTitle() {
+  const title = document.querySelector('h1');
+  if (!title) return document.title;
+  
+  const text = Array.from(title.childNodes)
+    .filter(node => !node.hasAttribute?.('data-kalshi-ao-watch-star'))
+    .map(node => node.textContent)
+    .join('')
+    .trim();
+  
+  return text || document.title;
+}
+
+/**
+ * Add a star next to the page title on market pages
+ */
+function injectTitleWatchlistStar() {
+  const ticker = parseMarketTickerFromPath(window.location.pathname);
+  const title = document.querySelector('h1');
+  if (!ticker || !title) return;
+  
+  const existing = title.querySelector('[data-kalshi-ao-watch-star]');
+  if (existing?.getAttribute('data-market-ticker') === ticker) return;
+  existing?.remove();
+  
+  title.appendChild(createWatchlistStar(ticker, getPageMarketTitle));
+}
+
+/**
+ * Get the title text of a market row, skipping prices and injected elements
+ * @param {Element} row - Row container
+ * @returns {string|null} Market title or null if none found
+ */
+function getRowMarketTitle(row) {
+  if (!row) return null;
+  
+  const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT, null, false);
+  let node;
+  
+  while (node = walker.nextNode()) {
+    if (node.parentElement?.closest('button, [data-kalshi-ao-odds], [data-kalshi-ao-alert-button], [data-kalshi-ao-watch-star], [data-kalshi-ao-position]')) continue;
+    
+    const text = node.textContent?.trim();
+    if (text && text.length > 2 && /[a-z]/i.test(text) && !isProbabilityText(text) && !isPriceText(text)) {
+      return text;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Add a star to rows that link to their own market (e.g. outcomes on an event page)
+ * Rows whose ticker is the page's own are covered by the title star
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function attachRowWatchlistStar(oddsElement) {
+  if (!oddsElement || oddsElement.getAttribute('data-row-primary') !== '1') return;
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  if (!ticker || ticker === parseMarketTickerFromPath(window.location.pathname)) return;
+  
+  const anchor = oddsElement.nextElementSibling?.hasAttribute('data-kalshi-ao-alert-button')
+    ? oddsElement.nextElementSibling
+    : oddsElement;
+  if (anchor.nextElementSibling?.hasAttribute('data-kalshi-ao-watch-star')) return;
+  
+  const row = oddsElement.parentElement ? findStableContainer(oddsElement.parentElement) : null;
+  anchor.after(createWatchlistStar(ticker, () => getRowMarketTitle(row)));
+}
+
+/**
+ * Re-render every watchlist star on the page
+ */
+function refreshWatchlistStars() {
+  document.querySelectorAll('[data-kalshi-ao-watch-star]').forEach(updateWatchlistStar);
+}
+
+/**
+ * Keep stars in sync when the watchlist changes from another tab or the popup
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.watchlist) {
+    watchlist = changes.watchlist.newValue || {};
+    refreshWatchlistStars();
+  }
+});
+
+// ============================================================================
+// ARBITRAGE (DUTCH-BOOK) DETECTION
+// ============================================================================
+
+/**
+ * Read the YES and NO buy prices for each outcome row of an event
+ * Prices come from the row's "Yes 45¢" / "No 56¢" buttons
+ * @param {Element} eventContainer - Event container found by findEventContainer
+ * @returns {Array<Object>} One leg per outcome row: { row, title, ticker, seriesTicker, yesPrice, noPrice }
+ */
+function getEventBasketLegs(eventContainer) {
+  return getEventOutcomeRows(eventContainer).map(({ row }) => {
+    const ticker = getMarketTickerForElement(row);
+    return {
+      row,
+      title: getRowMarketTitle(row) || ticker || 'Outcome',
+      ticker,
+      seriesTicker: getSeriesTicker(ticker),
+      yesPrice: parseTicketBestAsk(row, 'YES'),
+      noPrice: parseTicketBestAsk(row, 'NO')
+    };
+  });
+}
+
+// Controls that reveal more outcomes ("Show more", "View all", "See 4 more") mean the list is collapsed
+const EVENT_COLLAPSED_PATTERN = /^(show|view|see)\s+(all|more|\d+\s+more)\b/i;
+
+// Outcome counts the page states, e.g. "12 markets"
+const EVENT_OUTCOME_COUNT_PATTERN = /^(\d+)\s+(markets|outcomes|options)$/i;
+
+/**
+ * Check that an event's rows are its full outcome list
+ * Baskets over a collapsed list miss outcomes, so the "guaranteed" payout isn't
+ * @param {Element} eventContainer - Event container found by findEventContainer
+ * @param {number} legCount - Outcome rows found in the container
+ * @returns {boolean} False when the list is collapsed or the page states a different count
+ */
+function isEventOutcomeListComplete(eventContainer, legCount) {
+  const scopes = [eventContainer, eventContainer.nextElementSibling].filter(Boolean);
+  
+  for (const scope of scopes) {
+    for (const control of scope.querySelectorAll('button, a, [role="button"]')) {
+      if (EVENT_COLLAPSED_PATTERN.test(control.textContent?.trim() || '')) {
+        return false;
+      }
+    }
+  }
+  
+  const walker = document.createTreeWalker(eventContainer, NodeFilter.SHOW_TEXT, null, false);
+  let node;
+  while (node = walker.nextNode()) {
+    if (node.parentElement?.closest('[data-kalshi-ao-arb], [data-kalshi-ao-odds]')) continue;
+    
+    const match = node.textContent.trim().match(EVENT_OUTCOME_COUNT_PATTERN);
+    if (match && parseInt(match[1], 10) !== legCount) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Price buying one side on every outcome of a mutually exclusive event
+ * Assumes the legs are every outcome and exactly one resolves YES: a YES basket pays $1
+ * per set, a NO basket pays $(n - 1) per set. This can't be checked from prices, so
+ * callers must only pass complete outcome lists; if no outcome or several resolve YES
+ * the payouts (and the "locked" return) are wrong
+ * @param {Array<Object>} legs - Legs from getEventBasketLegs
+ * @param {string} side - 'YES' or 'NO'
+ * @param {number} targetPayout - Guaranteed payout in dollars to size the basket for
+ * @returns {Object|null} Basket cost, fees, locked return and per-leg contracts, or null if any price is missing
+ */
+function calculateBasketArbitrage(legs, side, targetPayout) {
+  if (!Array.isArray(legs) || legs.length < 2 || !(targetPayout > 0)) return null;
+  
+  const priceKey = side === 'YES' ? 'yesPrice' : 'noPrice';
+  if (legs.some(leg => typeof leg[priceKey] !== 'number' || leg[priceKey] <= 0 || leg[priceKey] >= 1)) {
+    return null;
+  }
+  
+  const payoutPerSet = side === 'YES' ? 1 : legs.length - 1;
+  const contractsPerLeg = Math.ceil(targetPayout / payoutPerSet);
+  const payout = contractsPerLeg * payoutPerSet;
+  
+  let cost = 0;
+  let fees = 0;
+  const pricedLegs = [];
+  
+  for (const leg of legs) {
+    const price = leg[priceKey];
+    const feeEstimate = calculateKalshiFeeEstimate(price, contractsPerLeg, { feeType: 'taker', seriesTicker: leg.seriesTicker });
+    if (!feeEstimate) return null;
+    
+    cost += price * contractsPerLeg;
+    fees += feeEstimate.totalFee;
+    pricedLegs.push({ ...leg, price, contracts: contractsPerLeg, fee: feeEstimate.totalFee });
+  }
+  
+  const totalCost = cost + fees;
+  const lockedReturn = payout - totalCost;
+  
+  return {
+    side,
+    contractsPerLeg,
+    payout,
+    cost,
+    fees,
+    totalCost,
+    lockedReturn,
+    returnPercent: lockedReturn / totalCost * 100,
+    isProfitable: lockedReturn > 0.005,
+    legs: pricedLegs
+  };
+}
+
+/**
+ * Find event containers on the page from the rows that already have odds
+ * @returns {Array<Element>} Distinct event containers
+ */
+function findArbitrageEventContainers() {
+  const containers = [];
+  
+  document.querySelectorAll('[data-kalshi-ao-odds][data-row-primary="1"]').forEach(oddsElement => {
+    if (containers.some(container => container.contains(oddsElement))) return;
+    
+    const row = oddsElement.parentElement ? findStableContainer(oddsElement.parentElement) : null;
+    const eventContainer = row ? findEventContainer(row) : null;
+    if (eventContainer && !containers.includes(eventContainer)) {
+      containers.push(eventContainer);
+    }
+  });
+  
+  return containers;
+}
+
+/**
+ * Show, refresh or remove the arbitrage banner for each event on the page
+ */
+function updateArbitrageBanners() {
+  try {
+    const activeBanners = new Set();
+    
+    findArbitrageEventContainers().forEach(eventContainer => {
+      const legs = getEventBasketLegs(eventContainer);
+      const isComplete = isEventOutcomeListComplete(eventContainer, legs.length);
+      
+      // Complete, mutually exclusive outcomes can't have YES asks summing under $1, so a
+      // short (or unknown) sum means rows are missing and no basket is guaranteed. That
+      // leaves the NO basket: a YES basket is only profitable when the asks sum under $1
+      const yesAskTotal = legs.every(leg => typeof leg.yesPrice === 'number')
+        ? legs.reduce((sum, leg) => sum + leg.yesPrice, 0)
+        : null;
+      
+      const baskets = isComplete && yesAskTotal !== null && yesAskTotal >= 1
+        ? [calculateBasketArbitrage(legs, 'NO', arbitrageTargetPayout)].filter(basket => basket?.isProfitable)
+        : [];
+      
+      let banner = eventContainer.querySelector(':scope > [data-kalshi-ao-arb]');
+      if (baskets.length === 0) {
+        banner?.remove();
+        return;
+      }
+      
+      // Skip re-rendering when prices haven't changed (the banner itself triggers mutations)
+      const signature = JSON.stringify([arbitrageTargetPayout, baskets.map(basket => basket.legs.map(leg => leg.price))]);
+      if (!banner) {
+        banner = document.createElement('div');
+        banner.className = 'kalshi-ao-arb-banner';
+        banner.setAttribute('data-kalshi-ao-arb', '1');
+        eventContainer.prepend(banner);
+      }
+      activeBanners.add(banner);
+      
+      if (banner.getAttribute('data-arb-signature') !== signature) {
+        banner.setAttribute('data-arb-signature', signature);
+        renderArbitrageBanner(banner, baskets);
+      }
+    });
+    
+    document.querySelectorAll('[data-kalshi-ao-arb]').forEach(banner => {
+      if (!activeBanners.has(banner)) banner.remove();
+    });
+  } catch (error) {
+    console.debug('Error updating arbitrage banners:', error);
+  }
+}
+
+/**
+ * Render the banner contents for profitable baskets
+ * @param {Element} banner - Banner element
+ * @param {Array<Object>} baskets - Profitable results from calculateBasketArbitrage
+ */
+function renderArbitrageBanner(banner, baskets) {
+  const money = (value) => `$${value.toFixed(2)}`;
+  
+  banner.innerHTML = `
+    <div class="arb-header">
+      <strong>Dutch book available</strong>
+      <label>Payout $<input type="number" class="arb-payout-input" min="1" step="1" value="${arbitrageTargetPayout}"></label>
+    </div>
+    ${baskets.map(basket => `
+      <div class="arb-basket">
+        <div class="arb-summary">
+          Buy ${basket.side} on all ${basket.legs.length} outcomes:
+          cost ${money(basket.cost)} + fees ${money(basket.fees)} → pays ${money(basket.payout)},
+          locks in <strong>+${money(basket.lockedReturn)}</strong> (${basket.returnPercent.toFixed(2)}%)
+        </div>
+        <table class="arb-legs">
+          <thead><tr><th>Outcome</th><th>${basket.side} price</th><th>Contracts</th><th>Fee</th></tr></thead>
+          <tbody>
+            ${basket.legs.map(leg => `
+              <tr>
+                <td class="arb-leg-title"></td>
+                <td>${Math.round(leg.price * 100)}¢</td>
+                <td>${basket.contractsPerLeg}</td>
+                <td>fee ${money(leg.fee)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `).join('')}
+    <div class="arb-note">Taker fees at current asks. Assumes the ${baskets[0].legs.length} rows shown are every outcome of the event and exactly one resolves YES; prices can move before every leg fills.</div>
+  `;
+  
+  // Titles come from the page, so set them as text
+  const titleCells = banner.querySelectorAll('.arb-leg-title');
+  baskets.flatMap(basket => basket.legs).forEach((leg, index) => {
+    if (titleCells[index]) titleCells[index].textContent = leg.title;
+  });
+  
+  const payoutInput = banner.querySelector('.arb-payout-input');
+  payoutInput.addEventListener('click', (event) => event.stopPropagation());
+  payoutInput.addEventListener('keydown', (event) => event.stopPropagation());
+  payoutInput.addEventListener('change', () => {
+    const payout = parseInt(payoutInput.value, 10);
+    if (payout > 0) {
+      arbitrageTargetPayout = payout;
+      updateArbitrageBanners();
+    }
+  });
+}
+
+// ============================================================================
+// BID/ASK SPREADS
+// ============================================================================
+
+// Spread widths (in cents) at which a market is flagged as thin / illiquid
+const SPREAD_MODERATE_CENTS = 3;
+const SPREAD_WIDE_CENTS = 6;
+
+/**
+ * Convert American odds to a continuous scale so the gap across even money counts once
+ * (-110 → -10, +105 → +5, so -110 to +105 is 15 points)
+ */
+function americanOddsToPoints(odds) {
+  return odds >= 100 ? odds - 100 : odds + 100;
+}
+
+/**
+ * Derive the YES bid/ask from a row's YES and NO buy prices
+ * Selling YES is the same trade as buying NO, so the YES bid is 1 - NO ask
+ * @param {number} yesAsk - Price to buy YES
+ * @param {number} noAsk - Price to buy NO
+ * @returns {Object|null} Bid/ask, spread in cents and odds points, and a liquidity level
+ */
+function calculateBidAskSpread(yesAsk, noAsk) {
+  if (typeof yesAsk !== 'number' || typeof noAsk !== 'number' ||
+      yesAsk <= 0 || yesAsk >= 1 || noAsk <= 0 || noAsk >= 1) {
+    return null;
+  }
+  
+  const ask = yesAsk;
+  const bid = Math.round((1 - noAsk) * 100) / 100;
+  const spreadCents = Math.round((ask - bid) * 100);
+  
+  const buyOdds = probabilityToAmericanOdds(ask);
+  const sellOdds = bid > 0 ? probabilityToAmericanOdds(bid) : null;
+  const spreadPoints = buyOdds !== null && sellOdds !== null
+    ? Math.abs(americanOddsToPoints(sellOdds) - americanOddsToPoints(buyOdds))
+    : null;
+  
+  let liquidity = 'tight';
+  if (spreadCents >= SPREAD_WIDE_CENTS) {
+    liquidity = 'wide';
+  } else if (spreadCents >= SPREAD_MODERATE_CENTS) {
+    liquidity = 'moderate';
+  }
+  
+  return { bid, ask, spreadCents, buyOdds, sellOdds, spreadPoints, liquidity };
+}
+
+/**
+ * Format a probability as odds text in the user's display mode
+ * Percent and fair modes use American odds since a single price has no event to de-vig
+ */
+function formatProbabilityAsOdds(probability) {
+  const displayMode = getEffectiveDisplayMode();
+  
+  switch (displayMode) {
+    case 'fractional':
+      return formatFractionalOdds(probability) || '—';
+    case 'decimal': {
+      const decimal = probabilityToDecimalOdds(probability);
+      return decimal !== null ? formatDecimalOdds(decimal) : '—';
+    }
+    case 'hongKong':
+    case 'malay':
+    case 'indonesian': {
+      const converters = { hongKong: probabilityToHongKongOdds, malay: probabilityToMalayOdds, indonesian: probabilityToIndonesianOdds };
+      const odds = converters[displayMode](probability);
+      return odds !== null ? formatAsianOdds(odds, displayMode) : '—';
+    }
+    default: {
+      const american = probabilityToAmericanOdds(probability);
+      return american !== null ? formatAmericanOddsDisplay(american) : '—';
+    }
+  }
+}
+
+/**
+ * Check whether a button is a row's "Yes 45¢" / "No 56¢" buy button
+ */
+function isSidePriceButton(button) {
+  const text = button.textContent?.trim() || '';
+  return text.length <= 24 && /\d\s*¢/.test(text) &&
+    extractSideFromText(text.replace(/[\d.¢$·]/g, '')) !== null;
+}
+
+/**
+ * Find the row holding both the YES and NO buy buttons for a side button
+ * @param {Element} button - A side price button
+ * @returns {Element|null} Row container, or null if the pair isn't found nearby
+ */
+function findSpreadRow(button) {
+  let current = findStableContainer(button.parentElement || button);
+  
+  for (let depth = 0; current && current !== document.body && depth < 4; depth++) {
+    if (parseTicketBestAsk(current, 'YES') !== null && parseTicketBestAsk(current, 'NO') !== null) {
+      return current;
+    }
+    current = current.parentElement;
+  }
+  
+  return null;
+}
+
+/**
+ * Get buttons that could be side price buttons, limited to changed parts of the page when known
+ * A change inside one row's button also re-checks the other buttons of that row
+ * @param {Set<Element>|null} mutationRoots - Elements changed since the last pass, or null for the whole page
+ * @returns {Set<Element>} Candidate buttons
+ */
+function getSpreadCandidateButtons(mutationRoots) {
+  if (!mutationRoots) {
+    return new Set(document.querySelectorAll('button'));
+  }
+  
+  const buttons = new Set();
+  mutationRoots.forEach(root => {
+    if (!root.isConnected) return;
+    
+    const row = findStableContainer(root.closest('button') || root);
+    (row && row.contains(root) ? row : root).querySelectorAll('button').forEach(button => buttons.add(button));
+    if (root.matches('button')) buttons.add(root);
+  });
+  return buttons;
+}
+
+/**
+ * Add or refresh the buy/sell odds and spread indicator for every row with paired prices
+ * @param {Set<Element>|null} mutationRoots - Elements changed since the last pass, or null to scan the whole page
+ */
+function updateRowSpreads(mutationRoots = null) {
+  try {
+    const rows = new Set();
+    getSpreadCandidateButtons(mutationRoots).forEach(button => {
+      // Ignore the order ticket and our own UI
+      if (button.closest('[role="dialog"], .kalshi-ao-helper-panel, [data-kalshi-ao-arb]')) return;
+      if (!isSidePriceButton(button)) return;
+      
+      const row = findSpreadRow(button);
+      if (row) rows.add(row);
+    });
+    
+    rows.forEach(row => {
+      // Nested candidates resolve to the outermost row only once
+      if (Array.from(rows).some(other => other !== row && other.contains(row))) return;
+      renderRowSpread(row);
+    });
+  } catch (error) {
+    console.debug('Error updating row spreads:', error);
+  }
+}
+
+/**
+ * Render the spread element for one row
+ * @param {Element} row - Row containing YES and NO buy buttons
+ */
+function renderRowSpread(row) {
+  const spread = calculateBidAskSpread(parseTicketBestAsk(row, 'YES'), parseTicketBestAsk(row, 'NO'));
+  let element = row.querySelector('[data-kalshi-ao-spread]');
+  
+  if (!spread) {
+    element?.remove();
+    return;
+  }
+  
+  const signature = `${spread.bid}/${spread.ask}/${getEffectiveDisplayMode()}`;
+  if (element?.getAttribute('data-spread-signature') === signature) return;
+  
+  if (!element) {
+    element = document.createElement('span');
+    element.className = 'kalshi-ao-spread';
+    element.setAttribute('data-kalshi-ao-spread', '1');
+    
+    // Sit next to the row's odds when there are some, otherwise after the NO button
+    const anchor = row.querySelector('[data-kalshi-ao-odds][data-row-primary="1"]') ||
+      Array.from(row.querySelectorAll('button')).filter(isSidePriceButton).pop();
+    if (!anchor) return;
+    anchor.after(element);
+  }
+  
+  element.setAttribute('data-spread-signature', signature);
+  element.setAttribute('data-liquidity', spread.liquidity);
+  
+  const points = spread.spreadPoints !== null ? ` / ${Math.round(spread.spreadPoints)} pts` : '';
+  element.textContent = `buy ${formatProbabilityAsOdds(spread.ask)} · sell ${spread.bid > 0 ? formatProbabilityAsOdds(spread.bid) : '—'} · ${spread.spreadCents}¢${points}`;
+  element.title = `YES ask ${Math.round(spread.ask * 100)}¢, YES bid ${Math.round(spread.bid * 100)}¢ (1 - NO ask)\n` +
+    `Spread: ${spread.spreadCents}¢${points ? `, ${Math.round(spread.spreadPoints)} American odds points` : ''}\n` +
+    (spread.liquidity === 'wide' ? 'Wide spread - this market looks illiquid; a round trip costs the full spread' :
+     spread.liquidity === 'moderate' ? 'Moderate spread' : 'Tight spread');
+}
+
+// ============================================================================
+// ORDERBOOK DEPTH
+// ============================================================================
+
+/**
+ * Get an element's text without anything the extension injected
+ * @param {Element} element - Element to read
+ * @returns {string} Page-owned text content
+ */
+function getPageOwnedText(element) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+  const parts = [];
+  let node;
+  
+  while (node = walker.nextNode()) {
+    if (node.parentElement?.closest('[data-kalshi-ao-odds], [data-kalshi-ao-book], [data-kalshi-ao-spread], [data-kalshi-ao-position]')) continue;
+    parts.push(node.textContent);
+  }
+  
+  return parts.join(' ');
+}
+
+/**
+ * Parse one orderbook level such as "45¢ 1,250 $562.50"
+ * @param {string} text - Row text
+ * @returns {Object|null} { price, contracts } or null if the text isn't a level
+ */
+function parseOrderbookLevelText(text) {
+  if (!text) return null;
+  
+  const priceMatch = text.match(/(\d{1,2}(?:\.\d)?)\s*¢/);
+  if (!priceMatch) return null;
+  
+  // Drop the price and any dollar totals so the remaining integer is the size
+  const remainder = text.replace(priceMatch[0], ' ').replace(/\$[\d,]*\.?\d*/g, ' ');
+  const sizeMatch = remainder.match(/(?:^|\s)(\d{1,3}(?:,\d{3})+|\d+)(?=\s|$)/);
+  if (!sizeMatch) return null;
+  
+  const price = parseFloat(priceMatch[1]) / 100;
+  const contracts = parseInt(sizeMatch[1].replace(/,/g, ''), 10);
+  
+  if (!(price > 0 && price < 1) || !(contracts > 0)) return null;
+  return { price, contracts };
+}
+
+/**
+ * Find the price level rows inside an orderbook candidate
+ * Table rows are used when present; otherwise the deepest elements that hold a full level
+ * @param {Element} element - Orderbook candidate
+ * @returns {Array<{row: Element, price: number, contracts: number}>} Levels in document order
+ */
+function getOrderbookLevelRows(element) {
+  const toLevel = (row) => {
+    const level = parseOrderbookLevelText(getPageOwnedText(row));
+    return level ? { row, ...level } : null;
+  };
+  
+  let levels = Array.from(element.querySelectorAll('tr, [role="row"]')).map(toLevel).filter(Boolean);
+  if (levels.length >= 2) return levels;
+  
+  levels = Array.from(element.querySelectorAll('div, li'))
+    .filter(candidate => !candidate.closest('[data-kalshi-ao-book]'))
+    .map(toLevel)
+    .filter(Boolean);
+  
+  // Keep the innermost element per level so wrappers don't count the same level twice
+  const levelRows = new Set(levels.map(level => level.row));
+  const wrappers = new Set();
+  levels.forEach(({ row }) => {
+    for (let parent = row.parentElement; parent && parent !== element; parent = parent.parentElement) {
+      if (levelRows.has(parent)) wrappers.add(parent);
+    }
+  });
+  return levels.filter(level => !wrappers.has(level.row));
+}
+
+/**
+ * Read which side (YES/NO) the orderbook is showing from its selected tab
+ */
+function getOrderbookSide(element) {
+  const selected = element.querySelector('[aria-selected="true"], [aria-pressed="true"], [data-state="active"], [aria-checked="true"]');
+  return extractSideFromText(selected?.textContent?.replace(/[\d.¢$]/g, '') || '') || 'YES';
+}
+
+/**
+ * Split orderbook levels into asks and bids
+ * Kalshi lists asks above a "Spread" divider and bids below it; without the divider
+ * every level is treated as an ask
+ * @param {Element} element - Orderbook element
+ * @returns {Object} { side, asks (cheapest first), bids (highest first) }
+ */
+function parseOrderbook(element) {
+  const levels = getOrderbookLevelRows(element);
+  
+  const divider = Array.from(element.querySelectorAll('div, span, tr, td'))
+    .find(candidate => candidate.children.length === 0 && /^spread\b/i.test(candidate.textContent.trim()));
+  
+  const isBelowDivider = (row) => Boolean(divider && (divider.compareDocumentPosition(row) & Node.DOCUMENT_POSITION_FOLLOWING));
+  
+  const asks = levels.filter(level => !isBelowDivider(level.row)).sort((a, b) => a.price - b.price);
+  const bids = levels.filter(level => isBelowDivider(level.row)).sort((a, b) => b.price - a.price);
+  
+  return { side: getOrderbookSide(element), asks, bids };
+}
+
+/**
+ * Check whether an element looks like the market's orderbook
+ */
+function isOrderbookElement(element) {
+  if (!element || element.closest('.kalshi-ao-helper-panel, [role="dialog"]')) return false;
+  
+  const text = element.textContent?.toLowerCase() || '';
+  if (!text.includes('order book') && !text.includes('orderbook')) return false;
+  
+  // Too large a container means we matched the page rather than the book
+  if (text.length > 20000) return false;
+  
+  return getOrderbookLevelRows(element).length >= 3;
+}
+
+/**
+ * Get the changed elements that are inside an element or contain it
+ * Changes to our own level annotations are left out, since annotating would otherwise re-trigger itself
+ * @param {Element} element - Element to check
+ * @param {Set<Element>} mutationRoots - Elements changed since the last pass
+ * @returns {boolean} True if any change touches the element
+ */
+function mutationRootsTouch(element, mutationRoots) {
+  for (const root of mutationRoots) {
+    if (root.closest?.('[data-kalshi-ao-book]')) continue;
+    if (element.contains(root) || root.contains(element)) return true;
+  }
+  return false;
+}
+
+/**
+ * Detect the orderbook on a market page
+ * Mirrors attemptTicketDetection: specific selectors first, then keyword analysis.
+ * The page is searched in full only on a full pass; otherwise just the changed elements
+ * are, and the last orderbook found is kept without re-checking until a change touches it
+ * @param {Set<Element>|null} mutationRoots - Elements changed since the last pass, or null for the whole page
+ * @returns {Element|null} Orderbook element or null if none is shown
+ */
+function detectOrderbook(mutationRoots = null) {
+  const cached = orderbookState.element;
+  if (cached?.isConnected) {
+    if (mutationRoots && !mutationRootsTouch(cached, mutationRoots)) return cached;
+    if (isOrderbookElement(cached)) return cached;
+  }
+  
+  const scopes = mutationRoots
+    ? Array.from(mutationRoots).filter(root => root.isConnected && !root.closest?.('[data-kalshi-ao-book]'))
+    : [document];
+  
+  return scopes.reduce((found, scope) => found || findOrderbookIn(scope), null);
+}
+
+/**
+ * Search one part of the page for the orderbook
+ * @param {Document|Element} scope - Document or a changed element
+ * @returns {Element|null} Orderbook element or null
+ */
+function findOrderbookIn(scope) {
+  // Strategy 1: elements named after the orderbook
+  const orderbookSelectors = [
+    '[data-testid*="orderbook" i]',
+    '[data-testid*="order-book" i]',
+    '[class*="orderbook" i]',
+    '[class*="order-book" i]',
+    '[aria-label*="order book" i]',
+    '[id*="orderbook" i]'
+  ];
+  
+  for (const selector of orderbookSelectors) {
+    try {
+      // A change inside the book (new levels) is found through its ancestor
+      const enclosing = scope.closest?.(selector);
+      if (enclosing && isOrderbookElement(enclosing)) return enclosing;
+      
+      for (const element of scope.querySelectorAll(selector)) {
+        if (isOrderbookElement(element)) return element;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Error checking orderbook selector ${selector}:`, error.message);
+    }
+  }
+  
+  // Strategy 2: the smallest section under an "Order book" heading that holds price levels
+  const headings = Array.from(scope.querySelectorAll('h1, h2, h3, h4, button, [role="tab"], span, div'))
+    .filter(element => element.children.length === 0 && /^order\s?book$/i.test(element.textContent.trim()));
+  
+  for (const heading of headings) {
+    let current = heading.parentElement;
+    for (let depth = 0; current && current !== document.body && depth < 6; depth++) {
+      if (isOrderbookElement(current)) return current;
+      current = current.parentElement;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Price a market order that sweeps the book
+ * Fees are charged per fill at the taker rate
+ * @param {Array<Object>} asks - Ask levels, cheapest first
+ * @param {number} quantity - Contracts to buy
+ * @param {string|null} seriesTicker - Series for fee rates
+ * @returns {Object|null} Filled contracts, VWAP, fees and after-fee odds, or null if nothing fills
+ */
+function calculateMarketFill(asks, quantity, seriesTicker = getSeriesTicker()) {
+  if (!Array.isArray(asks) || asks.length === 0 || !Number.isInteger(quantity) || quantity <= 0) {
+    return null;
+  }
+  
+  let remaining = quantity;
+  let cost = 0;
+  let fees = 0;
+  let worstPrice = null;
+  let levelsUsed = 0;
+  
+  for (const level of asks) {
+    if (remaining <= 0) break;
+    
+    const take = Math.min(remaining, level.contracts);
+    const feeEstimate = calculateKalshiFeeEstimate(level.price, take, { feeType: 'taker', seriesTicker });
+    
+    cost += level.price * take;
+    fees += feeEstimate ? feeEstimate.totalFee : 0;
+    remaining -= take;
+    worstPrice = level.price;
+    levelsUsed++;
+  }
+  
+  const filled = quantity - remaining;
+  if (filled === 0) return null;
+  
+  const vwap = cost / filled;
+  const feePerContract = fees / filled;
+  
+  return {
+    requested: quantity,
+    filled,
+    fullyFilled: remaining === 0,
+    available: asks.reduce((sum, level) => sum + level.contracts, 0),
+    vwap,
+    cost,
+    fees,
+    feePerContract,
+    worstPrice,
+    levelsUsed,
+    rawOdds: probabilityToAmericanOdds(vwap),
+    afterFeeOdds: calculateAfterFeeOdds(vwap, feePerContract, { enableValidation: false })
+  };
+}
+
+/**
+ * Estimate the average fill and after-fee odds of a market order in the ticket
+ * Walks the visible orderbook for the ticket's side when it is shown; otherwise assumes
+ * everything fills at the ticket's displayed best price and warns about it
+ * @param {Element} ticketElement - The ticket element
+ * @param {Object} ticketData - Parsed ticket data (side and quantity are required)
+ * @returns {Object|null} Result shaped like calculateAfterFeeOddsFromTicket's, plus the fill, or null
+ */
+function calculateMarketOrderAfterFee(ticketElement, ticketData) {
+  const { side, quantity, fee } = ticketData || {};
+  if ((side !== 'YES' && side !== 'NO') || !Number.isInteger(quantity) || quantity <= 0) {
+    return null;
+  }
+  
+  let fill = null;
+  let fillSource = 'orderbook';
+  let fillWarning = null;
+  
+  // The book is kept current by processOrderbook as the page changes
+  const book = orderbookState.element?.isConnected ? orderbookState.book : null;
+  if (book && book.side === side && book.asks.length > 0) {
+    fill = calculateMarketFill(book.asks, quantity);
+    if (fill && !fill.fullyFilled) {
+      fillWarning = `Only ${fill.filled.toLocaleString()} of ${quantity.toLocaleString()} contracts are visible in the orderbook; the rest would fill at worse prices`;
+    }
+  }
+  
+  if (!fill) {
+    const bestPrice = parseTicketBestAsk(ticketElement, side);
+    if (bestPrice === null) return null;
+    
+    fill = calculateMarketFill([{ price: bestPrice, contracts: quantity }], quantity);
+    fillSource = 'bestPrice';
+    fillWarning = `No ${side} orderbook visible: assumes every contract fills at the displayed best price (${Math.round(bestPrice * 100)}¢); larger orders may fill worse`;
+  }
+  if (!fill) return null;
+  
+  // A fee read from the ticket is exact, as for limit orders; otherwise use the per-level taker estimate
+  const ticketTotalFee = fee?.feeSource !== 'ticket' ? null
+    : typeof fee.totalFee === 'number' ? fee.totalFee
+    : typeof fee.perContractFee === 'number' ? fee.perContractFee * quantity : null;
+  const feeSource = ticketTotalFee !== null ? 'ticket' : 'estimated';
+  const feePerContract = feeSource === 'ticket' ? ticketTotalFee / quantity : fill.feePerContract;
+  
+  const price = fill.vwap;
+  const afterFeeOdds = calculateAfterFeeOdds(price, feePerContract, { enableValidation: false });
+  if (afterFeeOdds === null) return null;
+  
+  const risk = price + feePerContract;
+  const profit = 1 - risk;
+  
+  return {
+    afterFeeOdds,
+    rawOdds: fill.rawOdds,
+    price,
+    feePerContract,
+    totalFee: feeSource === 'ticket' ? ticketTotalFee : fill.fees,
+    quantity,
+    risk,
+    profit,
+    feeSource,
+    feeType: 'taker',
+    feeRates: resolveFeeRates(),
+    orderRole: { feeType: 'taker', reason: 'market orders always take liquidity' },
+    orderType: 'market',
+    fill,
+    fillSource,
+    fillWarning,
+    calculations: {
+      risk: `${price} + ${feePerContract} = ${risk}`,
+      profit: `1 - ${risk} = ${profit}`,
+      oddsFormula: profit >= risk
+        ? `+100 * (${profit}/${risk}) = ${afterFeeOdds}`
+        : `-100 * (${risk}/${profit}) = ${afterFeeOdds}`
+    }
+  };
+}
+
+/**
+ * Describe a market fill in one line
+ */
+function describeMarketFill(fill, side) {
+  if (!fill) return 'No asks to fill against';
+  
+  const afterFee = fill.afterFeeOdds !== null ? formatAmericanOddsDisplay(fill.afterFeeOdds) : 'n/a';
+  const shortfall = fill.fullyFilled ? '' : ` (only ${fill.filled.toLocaleString()} of ${fill.requested.toLocaleString()} available)`;
+  return `Buy ${fill.filled.toLocaleString()} ${side}: avg ${(fill.vwap * 100).toFixed(1)}¢, worst ${Math.round(fill.worstPrice * 100)}¢, ` +
+    `fees $${fill.fees.toFixed(2)} → ${afterFee} after fees${shortfall}`;
+}
+
+/**
+ * Annotate each level with its odds and cumulative size, and show the fill summary
+ * @param {Element} element - Orderbook element
+ * @param {Object} book - Result of parseOrderbook
+ */
+function annotateOrderbook(element, book) {
+  const annotateSide = (levels) => {
+    let cumulative = 0;
+    levels.forEach(level => {
+      cumulative += level.contracts;
+      
+      let annotation = level.row.querySelector(':scope > [data-kalshi-ao-book]');
+      const american = probabilityToAmericanOdds(level.price);
+      const decimal = probabilityToDecimalOdds(level.price);
+      const text = `${american !== null ? formatAmericanOddsDisplay(american) : '—'} · ${decimal !== null ? formatDecimalOdds(decimal) : '—'} · Σ${cumulative.toLocaleString()}`;
+      
+      if (annotation?.textContent === text) return;
+      if (!annotation) {
+        annotation = document.createElement('span');
+        annotation.className = 'kalshi-ao-book-level';
+        annotation.setAttribute('data-kalshi-ao-book', '1');
+        level.row.appendChild(annotation);
+      }
+      annotation.textContent = text;
+      annotation.title = `${cumulative.toLocaleString()} contracts available at ${Math.round(level.price * 100)}¢ or better`;
+    });
+  };
+  
+  annotateSide(book.asks);
+  annotateSide(book.bids);
+  renderOrderbookSummary(element, book);
+}
+
+/**
+ * Render the "market buy N contracts" summary above the orderbook
+ */
+function renderOrderbookSummary(element, book) {
+  let summary = element.querySelector(':scope > .kalshi-ao-book-summary');
+  
+  if (!summary) {
+    summary = document.createElement('div');
+    summary.className = 'kalshi-ao-book-summary';
+    summary.setAttribute('data-kalshi-ao-book', '1');
+    summary.innerHTML = `
+      <label>Market buy <input type="number" class="book-fill-input" min="1" step="1" value="${orderbookState.fillQuantity}"> contracts</label>
+      <div class="book-fill-result"></div>
+    `;
+    
+    const input = summary.querySelector('.book-fill-input');
+    input.addEventListener('click', (event) => event.stopPropagation());
+    input.addEventListener('keydown', (event) => event.stopPropagation());
+    input.addEventListener('input', () => {
+      const quantity = parseInt(input.value, 10);
+      if (quantity > 0) {
+        orderbookState.fillQuantity = quantity;
+        updateOrderbookSummaryResult(summary);
+      }
+    });
+    
+    element.prepend(summary);
+  }
+  
+  updateOrderbookSummaryResult(summary);
+}
+
+/**
+ * Refresh the summary line from the latest parsed book
+ */
+function updateOrderbookSummaryResult(summary) {
+  const result = summary.querySelector('.book-fill-result');
+  const book = orderbookState.book;
+  if (!result || !book) return;
+  
+  const text = describeMarketFill(calculateMarketFill(book.asks, orderbookState.fillQuantity), book.side);
+  if (result.textContent !== text) {
+    result.textContent = text;
+  }
+}
+
+/**
+ * Detect, parse and annotate the orderbook if the page shows one
+ * Levels are only re-read when a change touches the book
+ */
+function processOrderbook(mutationRoots = null) {
+  try {
+    const element = detectOrderbook(mutationRoots);
+    if (!element) {
+      orderbookState.element = null;
+      orderbookState.book = null;
+      return;
+    }
+    
+    if (element === orderbookState.element && orderbookState.book && mutationRoots &&
+        !mutationRootsTouch(element, mutationRoots)) {
+      return;
+    }
+    
+    const book = parseOrderbook(element);
+    orderbookState.element = element;
+    orderbookState.book = book;
+    annotateOrderbook(element, book);
+    
+    if (helperPanelState.panelElement) {
+      updateDepthEstimate(helperPanelState.panelElement);
+    }
+  } catch (error) {
+    console.debug('Error processing orderbook:', error);
+  }
+}
+
+/**
+ * Wire the helper panel's market-buy depth input
+ */
+function setupDepthEventListeners(panel) {
+  const input = panel.querySelector('#kalshi-ao-depth-quantity');
+  if (!input) return;
+  
+  input.addEventListener('input', function(e) {
+    e.stopPropagation();
+    clearTimeout(this.depthTimer);
+    this.depthTimer = setTimeout(() => updateDepthEstimate(panel), 300); // Debounce input
+  });
+  input.addEventListener('keydown', function(e) {
+    e.stopPropagation();
+  });
+}
+
+/**
+ * Answer "what odds do I get if I market-buy N contracts?" from the detected orderbook
+ */
+function updateDepthEstimate(panel) {
+  const input = panel.querySelector('#kalshi-ao-depth-quantity');
+  const resultEl = panel.querySelector('#kalshi-ao-depth-result');
+  if (!input || !resultEl) return;
+  
+  const quantity = parseInt(input.value, 10);
+  if (!(quantity > 0)) {
+    resultEl.textContent = 'Enter a contract count';
+    return;
+  }
+  
+  const book = orderbookState.book;
+  if (!book || book.asks.length === 0) {
+    resultEl.textContent = 'Open the orderbook on this market to price a market order';
+    return;
+  }
+  
+  const panelSide = helperPanelState.currentSide || helperPanelState.lastTicketData?.side;
+  const sideNote = panelSide && panelSide !== book.side ? ` (orderbook shows ${book.side}; switch it to ${panelSide})` : '';
+  resultEl.textContent = describeMarketFill(calculateMarketFill(book.asks, quantity), book.side) + sideNote;
+}
+
+// ============================================================================
+// HEDGE AND CASH-OUT CALCULATOR (HELPER PANEL)
+// ============================================================================
+
+/**
+ * Taker fee for buying contracts at a price, 0 when there is nothing to buy
+ */
+function estimateTakerFee(price, contracts) {
+  if (!(contracts > 0)) return 0;
+  const feeEstimate = calculateKalshiFeeEstimate(price, contracts, { feeType: 'taker' });
+  return feeEstimate ? feeEstimate.totalFee : 0;
+}
+
+/**
+ * Work out hedges for a held position against the current opposite-side price
+ * Equal profit buys as many opposite contracts as are held, locking the same result
+ * either way; a full freeroll buys just enough to get the stake back if the hedge
+ * side wins and keeps the remaining upside on the original side
+ * @param {number} entryPrice - Price paid per held contract (0.01-0.99)
+ * @param {number} entryContracts - Contracts held
+ * @param {number} hedgePrice - Current price to buy the opposite side (0.01-0.99)
+ * @returns {Object|null} Equal-profit, freeroll and cash-out results, or null if invalid
+ */
+function calculateHedge(entryPrice, entryContracts, hedgePrice) {
+  if (!(entryPrice > 0 && entryPrice < 1) || !(hedgePrice > 0 && hedgePrice < 1) ||
+      !Number.isInteger(entryContracts) || entryContracts <= 0) {
+    return null;
+  }
+  
+  const entryFee = estimateTakerFee(entryPrice, entryContracts);
+  const entryCost = entryPrice * entryContracts + entryFee;
+  
+  const priceHedge = (contracts) => {
+    const fee = estimateTakerFee(hedgePrice, contracts);
+    const cost = hedgePrice * contracts + fee;
+    return {
+      contracts,
+      fee,
+      cost,
+      profitIfEntryWins: entryContracts - entryCost - cost,
+      profitIfHedgeWins: contracts - entryCost - cost
+    };
+  };
+  
+  // Smallest hedge whose payout covers the entry stake plus its own cost
+  let freerollContracts = Math.ceil(entryCost / (1 - hedgePrice));
+  while (priceHedge(freerollContracts).profitIfHedgeWins < 0) {
+    freerollContracts++;
+  }
+  
+  // Selling the held side now is the same as buying the opposite side at its ask
+  const exitPrice = Math.round((1 - hedgePrice) * 100) / 100;
+  const exitFee = estimateTakerFee(exitPrice, entryContracts);
+  const cashOutValue = exitPrice * entryContracts - exitFee;
+  
+  return {
+    entryCost,
+    entryFee,
+    equalProfit: priceHedge(entryContracts),
+    freeroll: priceHedge(freerollContracts),
+    cashOut: {
+      exitPrice,
+      fee: exitFee,
+      value: cashOutValue,
+      profit: cashOutValue - entryCost,
+      currentOdds: probabilityToAmericanOdds(exitPrice)
+    }
+  };
+}
+
+/**
+ * Wire the hedge calculator inputs
+ */
+function setupHedgeEventListeners(panel) {
+  const inputs = ['#kalshi-ao-hedge-side', '#kalshi-ao-hedge-entry', '#kalshi-ao-hedge-contracts', '#kalshi-ao-hedge-current']
+    .map(selector => panel.querySelector(selector))
+    .filter(Boolean);
+  
+  inputs.forEach(input => {
+    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', function(e) {
+      e.stopPropagation();
+      clearTimeout(this.hedgeTimer);
+      this.hedgeTimer = setTimeout(() => updateHedgeCalculator(panel), 300); // Debounce input
+    });
+    input.addEventListener('keydown', function(e) {
+      e.stopPropagation();
+    });
+  });
+  
+  const prefillButton = panel.querySelector('#kalshi-ao-hedge-prefill');
+  if (prefillButton) {
+    prefillButton.addEventListener('click', function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      prefillHedgeFromTicket(panel);
+    });
+  }
+}
+
+/**
+ * Fill the hedge inputs from the parsed ticket and the opposite side's ask
+ */
+function prefillHedgeFromTicket(panel) {
+  const ticketData = helperPanelState.lastTicketData;
+  const statusEl = panel.querySelector('#kalshi-ao-hedge-status');
+  
+  if (!ticketData || !ticketData.side) {
+    if (statusEl) statusEl.textContent = 'No ticket data to prefill from - enter the position by hand';
+    return;
+  }
+  
+  const oppositeSide = ticketData.side === 'YES' ? 'NO' : 'YES';
+  const oppositeAsk = parseTicketBestAsk(ticketState.ticketElement, oppositeSide);
+  
+  panel.querySelector('#kalshi-ao-hedge-side').value = ticketData.side;
+  if (typeof ticketData.price === 'number') {
+    panel.querySelector('#kalshi-ao-hedge-entry').value = `${Math.round(ticketData.price * 100)}¢`;
+  }
+  if (typeof ticketData.quantity === 'number') {
+    panel.querySelector('#kalshi-ao-hedge-contracts').value = String(ticketData.quantity);
+  }
+  if (oppositeAsk !== null) {
+    panel.querySelector('#kalshi-ao-hedge-current').value = `${Math.round(oppositeAsk * 100)}¢`;
+  }
+  
+  updateHedgeCalculator(panel);
+}
+
+/**
+ * Recalculate and render the hedge options
+ */
+function updateHedgeCalculator(panel) {
+  const statusEl = panel.querySelector('#kalshi-ao-hedge-status');
+  const outputEl = panel.querySelector('#kalshi-ao-hedge-output');
+  if (!statusEl || !outputEl) return;
+  
+  const side = panel.querySelector('#kalshi-ao-hedge-side').value;
+  const oppositeSide = side === 'YES' ? 'NO' : 'YES';
+  const entryPrice = parseLadderBound(panel.querySelector('#kalshi-ao-hedge-entry').value, side);
+  const contracts = parseInt(panel.querySelector('#kalshi-ao-hedge-contracts').value, 10);
+  const hedgePrice = parseLadderBound(panel.querySelector('#kalshi-ao-hedge-current').value, oppositeSide);
+  
+  outputEl.innerHTML = '';
+  
+  if (entryPrice === null || hedgePrice === null || isNaN(contracts) || contracts <= 0) {
+    statusEl.textContent = `Enter your ${side} entry price, contracts and the current ${oppositeSide} price (40¢ or +150)`;
+    return;
+  }
+  
+  const hedge = calculateHedge(entryPrice, contracts, hedgePrice);
+  if (!hedge) {
+    statusEl.textContent = 'Unable to calculate a hedge for these inputs';
+    return;
+  }
+  
+  statusEl.textContent = `${contracts} ${side} @ $${entryPrice.toFixed(2)} cost $${hedge.entryCost.toFixed(2)} incl. $${hedge.entryFee.toFixed(2)} est. fee`;
+  
+  outputEl.innerHTML = `
+    <table class="ladder-table">
+      <thead>
+        <tr><th></th><th>Buy ${oppositeSide}</th><th>Fee</th><th>If ${side}</th><th>If ${oppositeSide}</th></tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>Equal</td><td>${hedge.equalProfit.contracts}</td><td>$${hedge.equalProfit.fee.toFixed(2)}</td>
+          <td>${formatSignedDollars(hedge.equalProfit.profitIfEntryWins)}</td><td>${formatSignedDollars(hedge.equalProfit.profitIfHedgeWins)}</td>
+        </tr>
+        <tr>
+          <td>Freeroll</td><td>${hedge.freeroll.contracts}</td><td>$${hedge.freeroll.fee.toFixed(2)}</td>
+          <td>${formatSignedDollars(hedge.freeroll.profitIfEntryWins)}</td><td>${formatSignedDollars(hedge.freeroll.profitIfHedgeWins)}</td>
+        </tr>
+      </tbody>
+    </table>
+    <div class="helper-text">
+      Cash out: sell at $${hedge.cashOut.exitPrice.toFixed(2)} (${hedge.cashOut.currentOdds !== null ? formatAmericanOddsDisplay(hedge.cashOut.currentOdds) : 'N/A'})
+      for $${hedge.cashOut.value.toFixed(2)} after $${hedge.cashOut.fee.toFixed(2)} fee → <strong>${formatSignedDollars(hedge.cashOut.profit)}</strong>
+    </div>
+    <div class="helper-text">Fees are estimated taker fees on both legs</div>
+  `;
+}
+
+// ============================================================================
+// PORTFOLIO OVERLAY
+// ============================================================================
+
+/**
+ * Check whether the current page is the portfolio/positions page
+ */
+function isPortfolioPage() {
+  return /^\/portfolio(\/|$)/.test(window.location.pathname);
+}
+
+/**
+ * Parse a position price written as cents ("45¢") or dollars ("$0.45")
+ * @param {string} text - Cell or row text
+ * @returns {number|null} Price (0.01-0.99) or null if none found
+ */
+function parsePositionPrice(text) {
+  if (!text) return null;
+  
+  const centsMatch = text.match(/(\d{1,2}(?:\.\d+)?)\s*¢/);
+  const dollarsMatch = text.match(/\$\s*(0?\.\d+)/);
+  const price = centsMatch ? parseFloat(centsMatch[1]) / 100
+    : dollarsMatch ? parseFloat(dollarsMatch[1])
+    : null;
+  
+  return price > 0 && price < 1 ? price : null;
+}
+
+/**
+ * Read the side from position text, matching YES/NO only as whole words
+ */
+function parsePositionSide(text) {
+  const match = text?.match(/\b(yes|no)\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Read the contract count from position text once prices, dollar amounts and
+ * percentages are removed
+ */
+function parsePositionContracts(text) {
+  if (!text) return null;
+  
+  const remainder = text
+    .replace(/\d+(?:\.\d+)?\s*[¢%]/g, ' ')
+    .replace(/[-+]?\$\s*[\d,]*\.?\d*/g, ' ');
+  const match = remainder.match(/(?:^|[\s(])(\d{1,3}(?:,\d{3})+|\d+)(?=[\s)]|$)/);
+  const contracts = match ? parseInt(match[1].replace(/,/g, ''), 10) : NaN;
+  
+  return contracts > 0 ? contracts : null;
+}
+
+/**
+ * Map the position table's header labels to column indexes
+ * @param {Element} table - Table or grid containing position rows
+ * @returns {Object|null} { side, contracts, avgPrice, currentPrice } indexes or null without headers
+ */
+function getPositionColumnMap(table) {
+  const headers = Array.from(table.querySelectorAll('th, [role="columnheader"]'));
+  if (headers.length === 0) return null;
+  
+  const map = {};
+  headers.forEach((header, index) => {
+    const label = header.textContent.trim().toLowerCase();
+    if (map.avgPrice === undefined && /avg|average|cost|entry/.test(label)) {
+      map.avgPrice = index;
+    } else if (map.currentPrice === undefined && /current|mark|last|price/.test(label)) {
+      map.currentPrice = index;
+    } else if (map.contracts === undefined && /contracts|position|shares|qty|quantity/.test(label)) {
+      map.contracts = index;
+    } else if (map.side === undefined && /^side$/.test(label)) {
+      map.side = index;
+    }
+  });
+  
+  return map.avgPrice !== undefined && map.currentPrice !== undefined ? map : null;
+}
+
+/**
+ * Parse a portfolio row into a position
+ * Header-labelled columns are used when the table has them; otherwise the first
+ * price is taken as the average cost and the second as the current price
+ * @param {Element} row - Position row
+ * @param {Object|null} columnMap - Result of getPositionColumnMap
+ * @returns {Object|null} { row, ticker, title, side, contracts, avgPrice, currentPrice } or null
+ */
+function parsePositionRow(row, columnMap) {
+  const title = getRowMarketTitle(row);
+  const cells = Array.from(row.querySelectorAll(':scope > td, :scope > [role="cell"], :scope > [role="gridcell"]'));
+  const cellText = (index) => index !== undefined && cells[index] ? getPageOwnedText(cells[index]) : '';
+  
+  let side;
+  let contracts;
+  let avgPrice;
+  let currentPrice;
+  
+  if (columnMap && cells.length > 0) {
+    const positionText = cellText(columnMap.contracts);
+    side = parsePositionSide(cellText(columnMap.side) || positionText);
+    contracts = parsePositionContracts(positionText);
+    avgPrice = parsePositionPrice(cellText(columnMap.avgPrice));
+    currentPrice = parsePositionPrice(cellText(columnMap.currentPrice));
+  } else {
+    // The title can hold numbers and the words yes/no, so read everything else
+    const text = getPageOwnedText(row).replace(title || '', ' ');
+    const prices = (text.match(/\d{1,2}(?:\.\d+)?\s*¢|\$\s*0?\.\d+/g) || []).map(parsePositionPrice);
+    side = parsePositionSide(text);
+    contracts = parsePositionContracts(text);
+    [avgPrice = null, currentPrice = null] = prices;
+  }
+  
+  if (!side || !contracts || avgPrice === null || currentPrice === null) return null;
+  
+  return {
+    row,
+    ticker: getMarketTickerForElement(row),
+    title,
+    side,
+    contracts,
+    avgPrice,
+    currentPrice
+  };
+}
+
+/**
+ * Find and parse the position rows on the portfolio page
+ * @returns {Array<Object>} Parsed positions in document order
+ */
+function detectPortfolioPositions() {
+  const rows = Array.from(document.querySelectorAll('tr, [role="row"]'))
+    .filter(row => row.querySelector('a[href*="/markets/"]') && !row.querySelector('th, [role="columnheader"]'));
+  const columnMaps = new Map();
+  
+  return rows.map(row => {
+    const table = row.closest('table, [role="table"], [role="grid"]');
+    if (table && !columnMaps.has(table)) {
+      columnMaps.set(table, getPositionColumnMap(table));
+    }
+    return parsePositionRow(row, table ? columnMaps.get(table) : null);
+  }).filter(Boolean);
+}
+
+/**
+ * Price a position at the current market
+ * Unrealized P&L assumes selling now as a taker, so the estimated exit fee is deducted;
+ * the break-even price is the lowest whole-cent price at which selling returns the cost
+ * @param {Object} position - Parsed position
+ * @returns {Object} Entry/current odds, cost, exit fee, unrealized P&L and break-even price
+ */
+function calculatePositionMetrics(position) {
+  const { contracts, avgPrice, currentPrice, ticker } = position;
+  const seriesTicker = ticker ? getSeriesTicker(ticker) : undefined;
+  const exitFeeAt = (price) => {
+    const feeEstimate = calculateKalshiFeeEstimate(price, contracts, { feeType: 'taker', seriesTicker });
+    return feeEstimate ? feeEstimate.totalFee : 0;
+  };
+  
+  const cost = avgPrice * contracts;
+  const exitFee = exitFeeAt(currentPrice);
+  
+  let breakEvenPrice = null;
+  for (let cents = 1; cents <= 99; cents++) {
+    const price = cents / 100;
+    if (price * contracts - exitFeeAt(price) >= cost) {
+      breakEvenPrice = price;
+      break;
+    }
+  }
+  
+  return {
+    entryOdds: probabilityToAmericanOdds(avgPrice),
+    currentOdds: probabilityToAmericanOdds(currentPrice),
+    cost,
+    exitFee,
+    unrealizedPnL: currentPrice * contracts - exitFee - cost,
+    breakEvenPrice
+  };
+}
+
+/**
+ * Total the portfolio's exposure and settlement outcomes
+ * Positions on the same market are netted, so holding both sides only risks the
+ * difference between them
+ * @param {Array<Object>} positions - Parsed positions
+ * @returns {Object} { exposure, worstCase, bestCase, positionCount }
+ */
+function summarizePortfolio(positions) {
+  const markets = new Map();
+  
+  positions.forEach((position, index) => {
+    const key = position.ticker || `row-${index}`;
+    const market = markets.get(key) || { cost: 0, yesPayout: 0, noPayout: 0 };
+    market.cost += position.avgPrice * position.contracts;
+    if (position.side === 'YES') {
+      market.yesPayout += position.contracts;
+    } else {
+      market.noPayout += position.contracts;
+    }
+    markets.set(key, market);
+  });
+  
+  let exposure = 0;
+  let worstCase = 0;
+  let bestCase = 0;
+  markets.forEach(market => {
+    exposure += market.cost;
+    worstCase += Math.min(market.yesPayout, market.noPayout) - market.cost;
+    bestCase += Math.max(market.yesPayout, market.noPayout) - market.cost;
+  });
+  
+  return { exposure, worstCase, bestCase, positionCount: positions.length };
+}
+
+/**
+ * Format a signed dollar amount such as "+$12.40" or "-$3.10"
+ */
+function formatSignedDollars(value) {
+  return `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Show a position's odds, P&L and break-even under its market title
+ */
+function renderPositionOverlay(position) {
+  const metrics = calculatePositionMetrics(position);
+  const formatOdds = (odds) => odds !== null ? formatAmericanOddsDisplay(odds) : 'N/A';
+  const text = [
+    `${position.side} ${formatOdds(metrics.entryOdds)} → ${formatOdds(metrics.currentOdds)}`,
+    `P&L ${formatSignedDollars(metrics.unrealizedPnL)} after ~$${metrics.exitFee.toFixed(2)} exit fee`,
+    metrics.breakEvenPrice !== null
+      ? `break-even ${Math.round(metrics.breakEvenPrice * 100)}¢ (${formatOdds(probabilityToAmericanOdds(metrics.breakEvenPrice))})`
+      : 'no break-even before settlement'
+  ].join(' · ');
+  
+  const link = position.row.querySelector('a[href*="/markets/"]');
+  const host = link?.closest('td, [role="cell"], [role="gridcell"]') || link?.parentElement || position.row;
+  let overlay = host.querySelector(':scope > .kalshi-ao-position');
+  
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'kalshi-ao-position';
+    overlay.setAttribute('data-kalshi-ao-position', '1');
+    host.appendChild(overlay);
+  }
+  
+  overlay.setAttribute('data-pnl', metrics.unrealizedPnL >= 0 ? 'up' : 'down');
+  if (overlay.textContent !== text) {
+    overlay.textContent = text;
+  }
+}
+
+/**
+ * Show the exposure and best/worst settlement outcomes above the positions
+ */
+function renderPortfolioSummary(positions) {
+  const firstRow = positions[0].row;
+  const container = firstRow.closest('table, [role="table"], [role="grid"]') || firstRow.parentElement;
+  const summary = summarizePortfolio(positions);
+  const signature = `${summary.positionCount}|${summary.exposure.toFixed(2)}|${summary.worstCase.toFixed(2)}|${summary.bestCase.toFixed(2)}`;
+  
+  let strip = container.previousElementSibling;
+  if (!strip?.classList.contains('kalshi-ao-portfolio-summary')) {
+    strip = document.createElement('div');
+    strip.className = 'kalshi-ao-portfolio-summary';
+    strip.setAttribute('data-kalshi-ao-position', '1');
+    container.before(strip);
+  }
+  
+  if (strip.getAttribute('data-portfolio-signature') === signature) return;
+  strip.setAttribute('data-portfolio-signature', signature);
+  strip.innerHTML = `
+    <span><strong>${summary.positionCount}</strong> positions</span>
+    <span>Exposure <strong>$${summary.exposure.toFixed(2)}</strong></span>
+    <span>Worst case <strong class="pnl-down">${formatSignedDollars(summary.worstCase)}</strong></span>
+    <span>Best case <strong class="pnl-up">${formatSignedDollars(summary.bestCase)}</strong></span>
+  `;
+}
+
+/**
+ * Annotate the portfolio page's positions and summary
+ */
+function processPortfolio() {
+  if (!isPortfolioPage()) return;
+  
+  try {
+    const positions = detectPortfolioPositions();
+    if (positions.length === 0) return;
+    
+    positions.forEach(renderPositionOverlay);
+    renderPortfolioSummary(positions);
+  } catch (error) {
+    console.debug('Error processing portfolio:', error);
+  }
+}
+
+// ============================================================================
+// COMBO SLIP (PARLAY CALCULATOR)
+// ============================================================================
+
+/**
+ * Legs are kept in the extension's session storage, out of the page's reach, so the slip
+ * survives navigating between markets and tabs and is cleared when the browser closes.
+ * Content scripts can only reach session storage once the background opens it with
+ * setAccessLevel; where that fails (Firefox has no setAccessLevel) the slip is kept in local storage
+ */
+const COMBO_STORAGE_KEY = 'comboLegs';
+const MAX_COMBO_LEGS = 12;
+
+/**
+ * Drop malformed legs from stored data
+ * @returns {Array<Object>} Legs as { id, ticker, side, title, price }
+ */
+function sanitizeComboLegs(legs) {
+  return Array.isArray(legs) ? legs.filter(leg => leg && leg.id && leg.price > 0 && leg.price < 1) : [];
+}
+
+/**
+ * Read the combo legs saved for this browser session
+ */
+async function loadComboLegs() {
+  try {
+    const result = await chrome.storage[comboStorageArea].get({ [COMBO_STORAGE_KEY]: [] });
+    comboLegs = sanitizeComboLegs(result[COMBO_STORAGE_KEY]);
+  } catch (error) {
+    if (comboStorageArea === 'session') {
+      console.debug('Session storage unavailable, keeping combo legs in local storage:', error);
+      comboStorageArea = 'local';
+      return loadComboLegs();
+    }
+    console.debug('Error loading combo legs:', error);
+    comboLegs = [];
+  }
+}
+
+/**
+ * Refresh everything that shows the combo legs
+ */
+function refreshComboViews() {
+  refreshComboButtons();
+  if (helperPanelState.panelElement) {
+    updateComboSlip(helperPanelState.panelElement);
+  }
+}
+
+/**
+ * Save the combo legs and refresh everything that shows them
+ */
+function saveComboLegs(legs) {
+  comboLegs = legs;
+  refreshComboViews();
+  
+  chrome.storage[comboStorageArea].set({ [COMBO_STORAGE_KEY]: legs }).catch(error => {
+    console.debug('Error saving combo legs:', error);
+  });
+}
+
+/**
+ * Keep the slip in sync when legs are added from another tab
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === comboStorageArea && changes[COMBO_STORAGE_KEY]) {
+    comboLegs = sanitizeComboLegs(changes[COMBO_STORAGE_KEY].newValue);
+    refreshComboViews();
+  }
+});
+
+/**
+ * Build a combo leg from an odds badge
+ * The side comes from the YES/NO button the price sits in; chance percentages are YES
+ * @param {Element} oddsElement - Element created by createOddsElement
+ * @returns {Object|null} Leg or null if the badge has no market or price
+ */
+function createComboLeg(oddsElement) {
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  const price = parseFloat(oddsElement.getAttribute('data-probability'));
+  if (!ticker || !(price > 0 && price < 1)) return null;
+  
+  const button = oddsElement.parentElement?.closest('button');
+  const side = parsePositionSide(button?.textContent) || 'YES';
+  const row = oddsElement.parentElement ? findStableContainer(oddsElement.parentElement) : null;
+  
+  return {
+    id: `${ticker}:${side}`,
+    ticker,
+    side,
+    title: getRowMarketTitle(row) || getPageMarketTitle() || ticker,
+    price
+  };
+}
+
+/**
+ * Add a leg to the slip, or remove it if it's already there
+ * Only one side of a market can be in the slip, so adding the other side replaces it
+ */
+function toggleComboLeg(leg) {
+  const legs = comboLegs;
+  
+  if (legs.some(existing => existing.id === leg.id)) {
+    saveComboLegs(legs.filter(existing => existing.id !== leg.id));
+    return;
+  }
+  
+  const otherLegs = legs.filter(existing => existing.ticker !== leg.ticker);
+  if (otherLegs.length >= MAX_COMBO_LEGS) {
+    console.warn(`Combo slip is limited to ${MAX_COMBO_LEGS} legs`);
+    return;
+  }
+  
+  saveComboLegs([...otherLegs, leg]);
+}
+
+/**
+ * Add a "+" button after an odds badge that puts its leg in the combo slip
+ * Badges ignore pointer events, so the button is the click target
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function attachComboButton(oddsElement) {
+  // Leg ids are ticker:side, so only rows with a market of their own (see getMarketTickerForElement) get a button
+  if (!oddsElement || !oddsElement.getAttribute('data-market-ticker')) return;
+  if (oddsElement.getAttribute('data-row-primary') !== '1') return;
+  
+  // Go after the bell and star so the row's controls stay together
+  let anchor = oddsElement;
+  while (anchor.nextElementSibling?.matches('[data-kalshi-ao-alert-button], [data-kalshi-ao-watch-star], [data-kalshi-ao-book-button]')) {
+    anchor = anchor.nextElementSibling;
+  }
+  if (anchor.nextElementSibling?.hasAttribute('data-kalshi-ao-combo-add')) return;
+  
+  const leg = createComboLeg(oddsElement);
+  if (!leg) return;
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'kalshi-ao-combo-add';
+  button.setAttribute('data-kalshi-ao-combo-add', leg.id);
+  
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    // Re-read the badge so the leg uses the price shown now
+    toggleComboLeg(createComboLeg(oddsElement) || leg);
+  });
+  
+  updateComboButton(button, comboLegs);
+  anchor.after(button);
+}
+
+/**
+ * Show whether a combo button's leg is in the slip
+ */
+function updateComboButton(button, legs) {
+  const legId = button.getAttribute('data-kalshi-ao-combo-add');
+  const added = legs.some(leg => leg.id === legId);
+  const label = added ? `Remove ${legId} from combo slip` : `Add ${legId} to combo slip`;
+  
+  button.classList.toggle('added', added);
+  button.textContent = added ? '✓' : '+';
+  button.title = label;
+  button.setAttribute('aria-label', label);
+}
+
+/**
+ * Re-render every combo button on the page
+ */
+function refreshComboButtons() {
+  document.querySelectorAll('[data-kalshi-ao-combo-add]').forEach(button => updateComboButton(button, comboLegs));
+}
+
+/**
+ * Price a combo as independent legs
+ * The equivalent single price is what one contract paying $1 on the whole combo costs,
+ * i.e. the product of the leg prices; after fees it compounds each leg's fee-inclusive cost
+ * @param {Array<Object>} legs - Combo legs
+ * @param {number} contracts - Contracts bought on each leg to price the fees
+ * @returns {Object|null} Combined probability, odds, fees and equivalent prices, or null
+ */
+function calculateCombo(legs, contracts) {
+  if (!Array.isArray(legs) || legs.length === 0 || !Number.isInteger(contracts) || contracts <= 0) {
+    return null;
+  }
+  
+  let combinedProbability = 1;
+  let afterFeePrice = 1;
+  let totalFees = 0;
+  
+  const pricedLegs = legs.map(leg => {
+    const feeEstimate = calculateKalshiFeeEstimate(leg.price, contracts, {
+      feeType: 'taker',
+      seriesTicker: getSeriesTicker(leg.ticker)
+    });
+    const fee = feeEstimate ? feeEstimate.totalFee : 0;
+    
+    combinedProbability *= leg.price;
+    afterFeePrice *= Math.min(leg.price + fee / contracts, 1);
+    totalFees += fee;
+    
+    return { ...leg, fee };
+  });
+  
+  return {
+    legs: pricedLegs,
+    combinedProbability,
+    americanOdds: probabilityToAmericanOdds(combinedProbability),
+    decimalOdds: probabilityToDecimalOdds(combinedProbability),
+    fractionalOdds: formatFractionalOdds(combinedProbability),
+    totalFees,
+    singlePrice: combinedProbability,
+    afterFeePrice,
+    afterFeeOdds: afterFeePrice < 1 ? probabilityToAmericanOdds(afterFeePrice) : null
+  };
+}
+
+/**
+ * Wire the combo slip inputs
+ */
+function setupComboEventListeners(panel) {
+  const quantityInput = panel.querySelector('#kalshi-ao-combo-quantity');
+  if (quantityInput) {
+    quantityInput.addEventListener('input', function(e) {
+      e.stopPropagation();
+      clearTimeout(this.comboTimer);
+      this.comboTimer = setTimeout(() => updateComboSlip(panel), 300); // Debounce input
+    });
+    quantityInput.addEventListener('keydown', function(e) {
+      e.stopPropagation();
+    });
+  }
+  
+  const clearButton = panel.querySelector('#kalshi-ao-combo-clear');
+  if (clearButton) {
+    clearButton.addEventListener('click', function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      saveComboLegs([]);
+    });
+  }
+  
+  updateComboSlip(panel);
+}
+
+/**
+ * Render the combo legs and combined pricing
+ */
+function updateComboSlip(panel) {
+  const listEl = panel.querySelector('#kalshi-ao-combo-legs');
+  const resultEl = panel.querySelector('#kalshi-ao-combo-result');
+  if (!listEl || !resultEl) return;
+  
+  const legs = comboLegs;
+  const contracts = parseInt(panel.querySelector('#kalshi-ao-combo-quantity')?.value, 10) || 100;
+  const combo = calculateCombo(legs, contracts);
+  
+  listEl.innerHTML = '';
+  resultEl.innerHTML = '';
+  
+  if (!combo) {
+    resultEl.textContent = 'Click + next to any odds to add a leg';
+    return;
+  }
+  
+  const formatOdds = (odds) => odds !== null ? formatAmericanOddsDisplay(odds) : 'N/A';
+  
+  combo.legs.forEach(leg => {
+    const item = document.createElement('li');
+    item.className = 'combo-leg';
+    
+    const label = document.createElement('span');
+    label.textContent = `${leg.title} · ${leg.side} ${Math.round(leg.price * 100)}¢ (${formatOdds(probabilityToAmericanOdds(leg.price))}) · fee $${leg.fee.toFixed(2)}`;
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'combo-remove';
+    removeButton.textContent = '×';
+    removeButton.setAttribute('aria-label', `Remove ${leg.id} from combo slip`);
+    removeButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleComboLeg(leg);
+    });
+    
+    item.append(label, removeButton);
+    listEl.appendChild(item);
+  });
+  
+  resultEl.innerHTML = `
+    <div>Combined: <strong>${(combo.combinedProbability * 100).toFixed(2)}%</strong> ·
+      ${formatOdds(combo.americanOdds)} · ${combo.decimalOdds !== null ? formatDecimalOdds(combo.decimalOdds) : 'N/A'} · ${combo.fractionalOdds ?? 'N/A'}</div>
+    <div>Fees to buy ${contracts} of each leg: <strong>$${combo.totalFees.toFixed(2)}</strong></div>
+    <div>Equivalent single price: <strong>${(combo.singlePrice * 100).toFixed(2)}¢</strong>,
+      ${(combo.afterFeePrice * 100).toFixed(2)}¢ after fees (${formatOdds(combo.afterFeeOdds)})</div>
+    <div class="helper-text">Assumes the legs are independent; correlated legs make the true combined probability differ</div>
+  `;
+}
+
+// ============================================================================
+// SPORTSBOOK LINE COMPARISON
+// ============================================================================
+
+// Hours an entered sportsbook line is used before it's considered stale
+const BOOK_LINE_DEFAULT_EXPIRY_HOURS = 24;
+
+/**
+ * Load the user's sportsbook lines from local storage
+ */
+async function loadBookLines() {
+  try {
+    const result = await chrome.storage.local.get({ bookLines: {} });
+    bookLines = result.bookLines || {};
+    KalshiLogger.debug('CONFIGURATION', 'Sportsbook lines loaded', { markets: Object.keys(bookLines).length });
+  } catch (error) {
+    console.error('Failed to load sportsbook lines:', error);
+    bookLines = {};
+  }
+}
+
+/**
+ * Get a market's sportsbook lines that haven't expired
+ * @param {string} ticker - Market ticker
+ * @returns {Array<Object>} Lines as { id, book, yesOdds, noOdds, createdAt, expiresAt }
+ */
+function getActiveBookLines(ticker) {
+  const now = Date.now();
+  return (bookLines[ticker] || []).filter(line => line.expiresAt > now);
+}
+
+/**
+ * De-vig a two-way sportsbook line into a fair YES probability
+ * @param {number} yesOdds - American odds for the outcome Kalshi calls YES
+ * @param {number} noOdds - American odds for the other side
+ * @returns {Object|null} { fairProbability, overround } or null if the odds are invalid
+ */
+function devigBookLine(yesOdds, noOdds) {
+  const implied = [americanOddsToProbability(yesOdds), americanOddsToProbability(noOdds)];
+  if (implied.some(p => p === null)) return null;
+  
+  const fair = devigProbabilities(implied, settings.devigMethod);
+  if (!fair) return null;
+  
+  return {
+    fairProbability: fair[0],
+    overround: implied[0] + implied[1] - 1
+  };
+}
+
+/**
+ * Compare a market's YES price with the consensus of its sportsbook lines
+ * The fair probability is the average of each book's de-vigged YES probability; the
+ * Kalshi side is priced after taker fees like the EV badge
+ * @param {Array<Object>} lines - Active sportsbook lines
+ * @param {number} price - Kalshi YES price (0.01-0.99)
+ * @param {string|null} seriesTicker - Series whose fee schedule applies (defaults to the current page's)
+ * @returns {Object|null} Fair probability/odds, Kalshi after-fee cost/odds and the edge, or null
+ */
+function calculateBookComparison(lines, price, seriesTicker = getSeriesTicker()) {
+  if (!Array.isArray(lines) || lines.length === 0 || !(price > 0 && price < 1)) return null;
+  
+  const devigged = lines.map(line => ({ ...line, ...devigBookLine(line.yesOdds, line.noOdds) }))
+    .filter(line => typeof line.fairProbability === 'number');
+  if (devigged.length === 0) return null;
+  
+  const fairProbability = devigged.reduce((sum, line) => sum + line.fairProbability, 0) / devigged.length;
+  const feeEstimate = calculateKalshiFeeEstimate(price, EV_BADGE_REFERENCE_QUANTITY, { feeType: 'taker', seriesTicker });
+  if (!feeEstimate) return null;
+  
+  const cost = price + feeEstimate.perContractFee;
+  const fairOdds = probabilityToAmericanOdds(fairProbability);
+  const kalshiOdds = cost < 1 ? probabilityToAmericanOdds(cost) : null;
+  
+  return {
+    lines: devigged,
+    fairProbability,
+    fairOdds,
+    cost,
+    kalshiOdds,
+    edgeCents: (fairProbability - cost) * 100,
+    // Positive when Kalshi pays more than the books' fair price
+    edgePoints: fairOdds !== null && kalshiOdds !== null
+      ? americanOddsToPoints(kalshiOdds) - americanOddsToPoints(fairOdds)
+      : null
+  };
+}
+
+/**
+ * Attach (or refresh) the sportsbook edge inside an injected odds element
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function attachBookComparison(oddsElement) {
+  if (!oddsElement) return;
+  
+  oddsElement.querySelectorAll('[data-kalshi-ao-book-edge]').forEach(badge => badge.remove());
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  if (!ticker || oddsElement.getAttribute('data-row-primary') !== '1') return;
+  
+  const comparison = calculateBookComparison(
+    getActiveBookLines(ticker),
+    parseFloat(oddsElement.getAttribute('data-probability')),
+    getSeriesTicker(ticker)
+  );
+  if (!comparison) return;
+  
+  const sign = (value) => value > 0 ? '+' : '';
+  const formatOdds = (odds) => odds !== null ? formatAmericanOddsDisplay(odds) : 'N/A';
+  const badge = document.createElement('span');
+  badge.className = `kalshi-ao-book-edge ${comparison.edgeCents > 0 ? 'positive' : 'negative'}`;
+  badge.setAttribute('data-kalshi-ao-book-edge', '1');
+  badge.textContent = ` vs book ${sign(comparison.edgeCents)}${comparison.edgeCents.toFixed(1)}¢` +
+    (comparison.edgePoints !== null ? ` · ${sign(comparison.edgePoints)}${Math.round(comparison.edgePoints)} pts` : '');
+  badge.title = [
+    ...comparison.lines.map(line =>
+      `${line.book}: ${formatAmericanOddsDisplay(line.yesOdds)} / ${formatAmericanOddsDisplay(line.noOdds)} → fair ${(line.fairProbability * 100).toFixed(1)}% (vig ${(line.overround * 100).toFixed(1)}%)`),
+    `Book fair: ${(comparison.fairProbability * 100).toFixed(1)}% (${formatOdds(comparison.fairOdds)})`,
+    `Kalshi after fees: $${comparison.cost.toFixed(4)} (${formatOdds(comparison.kalshiOdds)})`
+  ].join('\n');
+  
+  oddsElement.appendChild(badge);
+}
+
+/**
+ * Re-render sportsbook edges on every injected odds element
+ */
+function refreshBookComparisons() {
+  document.querySelectorAll('[data-kalshi-ao-odds]').forEach(attachBookComparison);
+}
+
+/**
+ * Add a button after a row's primary odds that opens the sportsbook line form
+ * Lines are keyed by the row's own market ticker, so rows without one (outcome rows
+ * with no market link, see getMarketTickerForElement) get no button
+ * @param {Element} oddsElement - Element created by createOddsElement
+ */
+function attachBookLineButton(oddsElement) {
+  if (!oddsElement || oddsElement.getAttribute('data-row-primary') !== '1') return;
+  
+  const ticker = oddsElement.getAttribute('data-market-ticker');
+  if (!ticker) return;
+  
+  let anchor = oddsElement;
+  while (anchor.nextElementSibling?.matches('[data-kalshi-ao-alert-button], [data-kalshi-ao-watch-star], [data-kalshi-ao-combo-add]')) {
+    anchor = anchor.nextElementSibling;
+  }
+  if (anchor.nextElementSibling?.hasAttribute('data-kalshi-ao-book-button')) return;
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'kalshi-ao-book-button';
+  button.setAttribute('data-kalshi-ao-book-button', '1');
+  button.setAttribute('aria-label', `Compare ${ticker} with sportsbook lines`);
+  button.title = `Compare ${ticker} with sportsbook lines`;
+  button.textContent = '⚖';
+  
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    openBookLinePopover(button, ticker);
+  });
+  
+  anchor.after(button);
+}
+
+/**
+ * Show the sportsbook line form and the market's current lines next to a button
+ * Shares the alert popover's look and outside-click handling
+ * @param {Element} button - Button that was clicked
+ * @param {string} ticker - Market ticker
+ */
+function openBookLinePopover(button, ticker) {
+  closeAlertPopover();
+  
+  const popover = document.createElement('div');
+  popover.className = 'kalshi-ao-alert-popover kalshi-ao-book-popover';
+  popover.setAttribute('data-ticker', ticker);
+  popover.innerHTML = `
+    <div class="alert-popover-title">Sportsbook lines for ${ticker}</div>
+    <ul class="book-popover-lines"></ul>
+    <input type="text" class="alert-popover-input book-popover-name" placeholder="Book (e.g. DraftKings)" autocomplete="off">
+    <div class="book-popover-odds">
+      <input type="text" class="alert-popover-input book-popover-yes" placeholder="YES -150" autocomplete="off">
+      <input type="text" class="alert-popover-input book-popover-no" placeholder="NO +130" autocomplete="off">
+    </div>
+    <label class="alert-popover-current">Expires in
+      <input type="number" class="book-popover-hours" value="${BOOK_LINE_DEFAULT_EXPIRY_HOURS}" min="1" max="720" step="1"> hours</label>
+    <div class="alert-popover-actions">
+      <button type="button" class="alert-popover-save">Add line</button>
+      <button type="button" class="alert-popover-cancel">Close</button>
+    </div>
+    <div class="alert-popover-status"></div>
+  `;
+  
+  const rect = button.getBoundingClientRect();
+  popover.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 240)}px`;
+  popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 260))}px`;
+  
+  popover.addEventListener('click', (event) => event.stopPropagation());
+  popover.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      popover.querySelector('.alert-popover-save').click();
+    } else if (event.key === 'Escape') {
+      closeAlertPopover();
+    }
+  });
+  
+  popover.querySelector('.alert-popover-cancel').addEventListener('click', closeAlertPopover);
+  popover.querySelector('.alert-popover-save').addEventListener('click', async () => {
+    const status = popover.querySelector('.alert-popover-status');
+    const book = popover.querySelector('.book-popover-name').value.trim() || 'Sportsbook';
+    const yes = validateAmericanOddsInput(popover.querySelector('.book-popover-yes').value);
+    const no = validateAmericanOddsInput(popover.querySelector('.book-popover-no').value);
+    const hours = parseInt(popover.querySelector('.book-popover-hours').value, 10);
+    
+    const invalid = !yes.isValid ? yes : !no.isValid ? no : null;
+    if (invalid) {
+      status.textContent = [invalid.error, invalid.suggestion].filter(Boolean).join('. ');
+      return;
+    }
+    if (!devigBookLine(yes.odds, no.odds)) {
+      status.textContent = 'Unable to de-vig these odds';
+      return;
+    }
+    if (isNaN(hours) || hours < 1 || hours > 720) {
+      status.textContent = 'Expiry must be between 1 and 720 hours';
+      return;
+    }
+    
+    const line = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      book,
+      yesOdds: yes.odds,
+      noOdds: no.odds,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + hours * 60 * 60 * 1000
+    };
+    
+    const result = await sendBookLineMessage({ type: 'BOOK_LINE_SAVE', ticker, line });
+    if (result.success) {
+      popover.querySelector('.book-popover-yes').value = '';
+      popover.querySelector('.book-popover-no').value = '';
+      status.textContent = '';
+    } else {
+      status.textContent = result.error;
+    }
+  });
+  
+  document.body.appendChild(popover);
+  renderBookPopoverLines(popover, ticker);
+  document.addEventListener('mousedown', handleAlertPopoverOutsideClick, true);
+  popover.querySelector('.book-popover-name').focus();
+}
+
+/**
+ * List a market's active lines in the open popover
+ */
+function renderBookPopoverLines(popover, ticker) {
+  const list = popover.querySelector('.book-popover-lines');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  getActiveBookLines(ticker).forEach(line => {
+    const item = document.createElement('li');
+    
+    const label = document.createElement('span');
+    label.textContent = `${line.book} ${formatAmericanOddsDisplay(line.yesOdds)} / ${formatAmericanOddsDisplay(line.noOdds)} · ${formatTimeUntil(line.expiresAt)}`;
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'book-popover-remove';
+    removeButton.textContent = '×';
+    removeButton.setAttribute('aria-label', `Remove ${line.book} line`);
+    removeButton.addEventListener('click', () => {
+      sendBookLineMessage({ type: 'BOOK_LINE_DELETE', ticker, id: line.id });
+    });
+    
+    item.append(label, removeButton);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Describe how long until a timestamp, e.g. "expires in 5h"
+ */
+function formatTimeUntil(timestamp) {
+  const minutes = Math.max(0, Math.round((timestamp - Date.now()) / 60000));
+  if (minutes < 60) return `expires in ${minutes}m`;
+  if (minutes < 48 * 60) return `expires in ${Math.round(minutes / 60)}h`;
+  return `expires in ${Math.round(minutes / (24 * 60))}d`;
+}
+
+/**
+ * Save or delete a line through the background worker
+ * @returns {Promise<Object>} { success, error }
+ */
+async function sendBookLineMessage(message) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    return response?.success ? { success: true } : { success: false, error: response?.error || 'Failed to update sportsbook lines' };
+  } catch (error) {
+    console.warn('Failed to update sportsbook lines:', error.message);
+    return { success: false, error: 'Failed to update sportsbook lines' };
+  }
+}
+
+/**
+ * Keep edges and the open popover in sync when lines change in any tab
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.bookLines) {
+    bookLines = changes.bookLines.newValue || {};
+    refreshBookComparisons();
+    
+    const popover = document.querySelector('.kalshi-ao-book-popover');
+    if (popover) {
+      renderBookPopoverLines(popover, popover.getAttribute('data-ticker'));
+    }
+  }
+});
+
+// ============================================================================
+// ODDS HOVER CARD
+// ============================================================================
+
+// Every format listed in the hover card, in display order
+const ODDS_FORMAT_LABELS = {
+  rawAmerican: 'American',
+  fairAmerican: 'Fair American',
+  decimal: 'Decimal',
+  fractional: 'Fractional',
+  probability: 'Implied probability',
+  afterFeeAmerican: 'After fees (badge order)',
+  hongKong: 'Hong Kong',
+  malay: 'Malay',
+  indonesian: 'Indonesian'
+};
+
+/**
+ * Build the hover breakdown for a price: every odds format plus the
+ * after-fee equivalent of a one-contract taker order
+ * @param {number} price - Contract price (0.01-0.99)
+ * @param {Text|null} textNode - Price text node, used to de-vig fair odds
+ * @param {string|null} ticker - Market ticker whose fee rates apply
+ * @returns {Array<{label: string, text: string, isAfterFee?: boolean}>} Rows to render
+ */
+function describeOddsFormats(price, textNode, ticker) {
+  const rows = [];
+  
+  Object.entries(ODDS_FORMAT_LABELS).forEach(([format, label]) => {
+    const entry = calculateOddsForFormat(format, price, textNode, ticker);
+    // Fair odds that fell back to raw odds would just repeat the American row
+    if (entry && entry.oddsType === format) {
+      rows.push({ label, text: formatOddsForType(entry.odds, entry.oddsType, entry.feeSource) });
+    }
+  });
+  
+  const feeEstimate = calculateKalshiFeeEstimate(price, 1, {
+    feeType: 'taker',
+    seriesTicker: getSeriesTicker(ticker || null)
+  });
+  const afterFeeOdds = feeEstimate
+    ? calculateAfterFeeOdds(price, feeEstimate.perContractFee, { enableValidation: false })
+    : null;
+  if (afterFeeOdds !== null) {
+    const cost = Math.round((price + feeEstimate.perContractFee) * 100);
+    rows.push({
+      label: 'After fees (1 taker)',
+      text: `${formatAmericanOddsDisplay(afterFeeOdds)} · ${cost}¢ all-in`,
+      isAfterFee: true
+    });
+    
+    const annualized = calculateAnnualizedReturn(price + feeEstimate.perContractFee, getMarketCloseDate(ticker));
+    if (annualized) {
+      rows.push({ label: 'Days to close', text: formatDaysToClose(annualized.days) });
+      rows.push({
+        label: 'Annualized if it wins',
+        text: `${formatAnnualizedPercent(annualized.simple)} simple · ${formatAnnualizedPercent(annualized.compounded)} compounded`
+      });
+      if (comparisonRate !== null) {
+        rows.push({ label: 'Your interest rate', text: `${comparisonRate}% per year` });
+      }
+    }
+  }
+  
+  return rows;
+}
+
+/**
+ * Show every odds format when hovering a converted price
+ * The badge itself ignores pointer events, so the page's own price element is the hover target
+ */
+function attachOddsHoverCard(priceElement) {
+  if (!priceElement || priceElement.hasAttribute('data-kalshi-ao-hover')) return;
+  priceElement.setAttribute('data-kalshi-ao-hover', '1');
+  
+  priceElement.addEventListener('mouseenter', () => {
+    // Look the badge up on each hover; it is replaced whenever the price re-renders
+    const oddsElement = priceElement.nextElementSibling;
+    if (!oddsElement || !oddsElement.hasAttribute('data-kalshi-ao-odds')) return;
+    
+    const price = parseFloat(oddsElement.getAttribute('data-probability'));
+    if (!(price > 0 && price < 1)) return;
+    
+    const textNode = Array.from(priceElement.childNodes)
+      .find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()) || null;
+    showOddsHoverCard(priceElement, describeOddsFormats(price, textNode, oddsElement.getAttribute('data-market-ticker')));
+  });
+  priceElement.addEventListener('mouseleave', hideOddsHoverCard);
+}
+
+/**
+ * Render the shared hover card next to a price element
+ */
+function showOddsHoverCard(anchor, rows) {
+  hideOddsHoverCard();
+  if (rows.length === 0) return;
+  
+  const card = document.createElement('div');
+  card.id = 'kalshi-ao-odds-card';
+  card.className = 'kalshi-ao-odds-card';
+  rows.forEach(({ label, text, isAfterFee }) => {
+    const row = document.createElement('div');
+    row.className = isAfterFee ? 'odds-card-row after-fee' : 'odds-card-row';
+    const labelElement = document.createElement('span');
+    labelElement.className = 'odds-card-label';
+    labelElement.textContent = label;
+    const valueElement = document.createElement('span');
+    valueElement.className = 'odds-card-value';
+    valueElement.textContent = text;
+    // Keep the odds scanner from converting the card's own percentages
+    labelElement.setAttribute('data-kalshi-ao', '1');
+    valueElement.setAttribute('data-kalshi-ao', '1');
+    row.append(labelElement, valueElement);
+    card.appendChild(row);
+  });
+  
+  document.body.appendChild(card);
+  const rect = anchor.getBoundingClientRect();
+  card.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - card.offsetHeight - 8)}px`;
+  card.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - card.offsetWidth - 8))}px`;
+}
+
+/**
+ * Remove the hover card if it is showing
+ */
+function hideOddsHoverCard() {
+  document.getElementById('kalshi-ao-odds-card')?.remove();
+}
+
+// ============================================================================
+// FEE SENSITIVITY CHART
+// ============================================================================
+
+// Largest order size plotted by the fee sensitivity chart
+const FEE_CHART_MAX_QUANTITY = 1000;
+const FEE_CHART_WIDTH = 240;
+const FEE_CHART_HEIGHT = 64;
+const FEE_CHART_PADDING = 4;
+
+// Sensitivity curves keyed by price, fee type, series and fee rates; ticket edits redraw the chart far more often than these change
+const feeSensitivityCache = new Map();
+const FEE_SENSITIVITY_CACHE_SIZE = 20;
+
+/**
+ * Work out after-fee odds for every order size from 1 to maxQuantity
+ * Fees round up per order, so the per-contract fee jumps around at small sizes; a
+ * sweet spot is a size where adding one contract lowers the per-contract fee.
+ * Sizes whose all-in cost reaches $1 (e.g. one contract at 99¢) have no odds and are skipped
+ * @param {number} price - Contract price (0.01-0.99)
+ * @param {string} feeType - 'taker' or 'maker'
+ * @param {number} maxQuantity - Largest order size to include
+ * @returns {Object|null} Points per quantity and the sweet-spot quantities, or null if no size has odds
+ */
+function calculateFeeSensitivity(price, feeType = 'taker', maxQuantity = FEE_CHART_MAX_QUANTITY) {
+  if (!(price > 0 && price < 1)) return null;
+  
+  const rates = resolveFeeRates();
+  const cacheKey = `${price}:${feeType}:${rates.seriesTicker || ''}:${rates.taker}:${rates.maker}:${maxQuantity}`;
+  if (feeSensitivityCache.has(cacheKey)) {
+    return feeSensitivityCache.get(cacheKey);
+  }
+  
+  const points = [];
+  const sweetSpots = [];
+  let previousFee = null;
+  
+  for (let quantity = 1; quantity <= maxQuantity; quantity++) {
+    const feeEstimate = calculateKalshiFeeEstimate(price, quantity, { feeType });
+    const fee = feeEstimate ? feeEstimate.perContractFee : null;
+    
+    // Compare with a small tolerance; per-contract fees are float divisions of whole cents
+    if (quantity > 1 && fee !== null && previousFee !== null && fee < previousFee - 1e-9) {
+      sweetSpots.push(quantity);
+    }
+    previousFee = fee;
+    
+    const afterFeeOdds = fee !== null ? calculateAfterFeeOdds(price, fee, { enableValidation: false }) : null;
+    if (afterFeeOdds !== null) {
+      points.push({ quantity, perContractFee: fee, afterFeeOdds });
+    }
+  }
+  
+  const result = points.length > 0
+    ? { points, sweetSpots: sweetSpots.filter(quantity => points.some(point => point.quantity === quantity)) }
+    : null;
+  
+  if (feeSensitivityCache.size >= FEE_SENSITIVITY_CACHE_SIZE) {
+    feeSensitivityCache.delete(feeSensitivityCache.keys().next().value);
+  }
+  feeSensitivityCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Render an inline SVG of after-fee American odds against order size (log scale)
+ * with the ticket's quantity and the fee-rounding sweet spots marked. Sizes with no
+ * after-fee odds are left out, so points are looked up by quantity rather than position
+ * @param {number} price - Contract price (0.01-0.99)
+ * @param {number} currentQuantity - Quantity entered in the ticket
+ * @param {string} feeType - Fee type of the order ('maker' or anything else for taker)
+ * @returns {string} Chart markup, or an empty string when there is nothing to plot
+ */
+function renderFeeSensitivityChart(price, currentQuantity, feeType) {
+  const sensitivity = calculateFeeSensitivity(price, feeType === 'maker' ? 'maker' : 'taker');
+  if (!sensitivity) return '';
+  
+  const { points, sweetSpots } = sensitivity;
+  const values = points.map(point => americanOddsToPoints(point.afterFeeOdds));
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const range = high - low || 1;
+  
+  const plotWidth = FEE_CHART_WIDTH - FEE_CHART_PADDING * 2;
+  const plotHeight = FEE_CHART_HEIGHT - FEE_CHART_PADDING * 2;
+  const x = (quantity) => FEE_CHART_PADDING + Math.log10(quantity) / Math.log10(FEE_CHART_MAX_QUANTITY) * plotWidth;
+  const y = (value) => FEE_CHART_PADDING + (high - value) / range * plotHeight;
+  const pointsByQuantity = new Map(points.map((point, index) => [point.quantity, { ...point, value: values[index] }]));
+  const pointAt = (quantity) => pointsByQuantity.get(quantity);
+  
+  const line = points
+    .map((point, index) => `${x(point.quantity).toFixed(1)},${y(values[index]).toFixed(1)}`)
+    .join(' ');
+  
+  const sweetSpotMarks = sweetSpots.map(quantity => {
+    const point = pointAt(quantity);
+    return `<circle cx="${x(quantity).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="2" fill="#28a745">` +
+      `<title>${quantity} contracts: ${(point.perContractFee * 100).toFixed(2)}¢ fee per contract (${formatAmericanOddsDisplay(point.afterFeeOdds)})</title></circle>`;
+  }).join('');
+  
+  let currentMark = '';
+  const current = Number.isInteger(currentQuantity) ? pointAt(currentQuantity) : null;
+  if (current) {
+    const currentX = x(currentQuantity).toFixed(1);
+    currentMark = `<line x1="${currentX}" y1="${FEE_CHART_PADDING}" x2="${currentX}" y2="${FEE_CHART_HEIGHT - FEE_CHART_PADDING}" stroke="#2563eb" stroke-dasharray="2,2"/>` +
+      `<circle cx="${currentX}" cy="${y(current.value).toFixed(1)}" r="3" fill="#2563eb">` +
+      `<title>Your order, ${currentQuantity} contracts: ${formatAmericanOddsDisplay(current.afterFeeOdds)}</title></circle>`;
+  }
+  
+  const best = points.reduce((a, b) => americanOddsToPoints(b.afterFeeOdds) > americanOddsToPoints(a.afterFeeOdds) ? b : a);
+  const worst = points.reduce((a, b) => americanOddsToPoints(b.afterFeeOdds) < americanOddsToPoints(a.afterFeeOdds) ? b : a);
+  
+  return `
+    <div class="kalshi-ao-fee-chart" style="margin-top: 6px;">
+      <svg width="${FEE_CHART_WIDTH}" height="${FEE_CHART_HEIGHT}" viewBox="0 0 ${FEE_CHART_WIDTH} ${FEE_CHART_HEIGHT}" style="display: block; background: #fff; border: 1px solid #e9ecef; border-radius: 3px;">
+        <polyline points="${line}" fill="none" stroke="#6c757d" stroke-width="1.2"/>
+        ${sweetSpotMarks}
+        ${currentMark}
+      </svg>
+      <div style="display: flex; justify-content: space-between; width: ${FEE_CHART_WIDTH}px; font-size: 10px; color: #6c757d;">
+        <span>1</span>
+        <span>${formatAmericanOddsDisplay(worst.afterFeeOdds)} to ${formatAmericanOddsDisplay(best.afterFeeOdds)} · <span style="color: #28a745;">●</span> sweet spots</span>
+        <span>${FEE_CHART_MAX_QUANTITY}</span>
+      </div>
+    </div>
+  `;
+}
+
+// ============================================================================
+// QUANTITY SUGGESTION
+// ============================================================================
+
+// Quantities within this many contracts (or 25% of the order, if larger) are searched
+const QUANTITY_SEARCH_MIN_RANGE = 10;
+
+/**
+ * Load the order budget cap from local storage
+ */
+async function loadOrderBudget() {
+  try {
+    const result = await chrome.storage.local.get({ orderBudget: null });
+    orderBudget = result.orderBudget > 0 ? result.orderBudget : null;
+  } catch (error) {
+    console.error('Failed to load order budget:', error);
+    orderBudget = null;
+  }
+}
+
+/**
+ * Find a nearby order size that wastes less on Kalshi's per-order fee rounding
+ * Paying the same fee for more contracts wins outright; otherwise the closest size
+ * with a lower per-contract fee is suggested
+ * @param {number} price - Limit price (0.01-0.99)
+ * @param {number} quantity - Quantity entered in the ticket
+ * @param {Object} options - Optional configuration
+ * @param {string} options.feeType - 'taker' or 'maker' (defaults to 'taker')
+ * @param {number|null} options.budget - Maximum order cost in dollars, including fees
+ * @returns {Object|null} Suggested quantity with its fees and the current fees, or null if none is better
+ */
+function findFeeOptimalQuantity(price, quantity, options = {}) {
+  if (!(price > 0 && price < 1) || !Number.isInteger(quantity) || quantity <= 0) {
+    return null;
+  }
+  
+  const { feeType = 'taker', budget = null } = options;
+  const feeFor = (contracts) => calculateKalshiFeeEstimate(price, contracts, { feeType });
+  const current = feeFor(quantity);
+  if (!current) return null;
+  
+  const range = Math.max(QUANTITY_SEARCH_MIN_RANGE, Math.ceil(quantity * 0.25));
+  let best = null;
+  
+  for (let contracts = Math.max(1, quantity - range); contracts <= quantity + range; contracts++) {
+    if (contracts === quantity) continue;
+    
+    const fee = feeFor(contracts);
+    if (!fee || (budget > 0 && contracts * price + fee.totalFee > budget + 1e-9)) continue;
+    
+    // Only strictly cheaper per-contract fees count; fees are float divisions of whole cents
+    if (current.perContractFee - fee.perContractFee < 1e-9) continue;
+    
+    const candidate = {
+      quantity: contracts,
+      totalFee: fee.totalFee,
+      perContractFee: fee.perContractFee,
+      sameFee: contracts > quantity && Math.abs(fee.totalFee - current.totalFee) < 1e-9
+    };
+    
+    const distance = (option) => Math.abs(option.quantity - quantity);
+    const isBetter = !best ||
+      (candidate.sameFee && !best.sameFee) ||
+      (candidate.sameFee && best.sameFee && candidate.quantity > best.quantity) ||
+      (!candidate.sameFee && !best.sameFee && (distance(candidate) < distance(best) ||
+        (distance(candidate) === distance(best) && candidate.perContractFee < best.perContractFee)));
+    if (isBetter) {
+      best = candidate;
+    }
+  }
+  
+  return best ? { ...best, currentQuantity: quantity, currentTotalFee: current.totalFee, currentPerContractFee: current.perContractFee } : null;
+}
+
+/**
+ * Describe a quantity suggestion in one line
+ */
+function formatQuantitySuggestion(suggestion) {
+  const cents = (fee) => `${(fee * 100).toFixed(2)}¢`;
+  const change = `Buy ${suggestion.quantity} instead of ${suggestion.currentQuantity}`;
+  
+  if (suggestion.sameFee) {
+    return `${change}: same fee, better per-contract cost`;
+  }
+  return `${change}: ${cents(suggestion.perContractFee)} vs ${cents(suggestion.currentPerContractFee)} fee per contract`;
+}
+
+/**
+ * Show, update or remove the quantity suggestion under the after-fee display
+ * It sits beside the display rather than inside it, since the display ignores pointer events
+ * @param {Element} oddsDisplay - The after-fee odds display element
+ * @param {Object} afterFeeResult - After-fee odds calculation result
+ */
+function updateQuantitySuggestion(oddsDisplay, afterFeeResult) {
+  const existing = oddsDisplay.parentElement?.querySelector('[data-kalshi-ao-quantity-suggestion]');
+  
+  // A market order's average price moves with its size, so a single-price search doesn't apply
+  if (afterFeeResult.orderType === 'market') {
+    existing?.remove();
+    return;
+  }
+  
+  const suggestion = findFeeOptimalQuantity(afterFeeResult.price, afterFeeResult.quantity, {
+    feeType: afterFeeResult.feeType === 'maker' ? 'maker' : 'taker',
+    budget: orderBudget
+  });
+  
+  if (!suggestion) {
+    existing?.remove();
+    return;
+  }
+  
+  const button = existing || document.createElement('button');
+  if (!existing) {
+    button.type = 'button';
+    button.className = 'kalshi-ao-quantity-suggestion';
+    button.setAttribute('data-kalshi-ao-quantity-suggestion', '1');
+    button.addEventListener('click', handleQuantitySuggestionClick);
+    oddsDisplay.insertAdjacentElement('afterend', button);
+  }
+  
+  button.setAttribute('data-quantity', String(suggestion.quantity));
+  button.textContent = `💡 ${formatQuantitySuggestion(suggestion)}`;
+  button.title = `Click to copy ${suggestion.quantity} to the clipboard. ` +
+    `Fees estimated from the schedule: $${suggestion.totalFee.toFixed(2)} for ${suggestion.quantity} vs ` +
+    `$${suggestion.currentTotalFee.toFixed(2)} for ${suggestion.currentQuantity}` +
+    (orderBudget ? ` (budget $${orderBudget.toFixed(2)})` : '');
+}
+
+/**
+ * Copy the suggested quantity; Kalshi's own inputs are never filled in
+ */
+async function handleQuantitySuggestionClick(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  
+  const button = event.currentTarget;
+  const quantity = button.getAttribute('data-quantity');
+  
+  try {
+    await navigator.clipboard.writeText(quantity);
+    button.setAttribute('data-copied', '1');
+    setTimeout(() => button.removeAttribute('data-copied'), 1500);
+  } catch (error) {
+    console.error('Failed to copy suggested quantity:', error);
+  }
+}
+
+/**
+ * Keep the budget cap in sync when it is edited from the popup
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.orderBudget) {
+    orderBudget = changes.orderBudget.newValue > 0 ? changes.orderBudget.newValue : null;
+  }
+});
+
+// ============================================================================
+// FEE ESTIMATE CALIBRATION
+// ============================================================================
+
+/**
+ * Compare the fee Kalshi shows on a ticket with the schedule estimate for the same order
+ * Updates the in-memory accuracy stats and sends the pair to the background, which
+ * stores it and re-fits the series' fee rate when the schedule is consistently off.
+ * The background keeps each order (price, size, fee type and fee) once across reloads and tabs
+ * @param {Object} ticketData - Ticket data whose fee was read from the ticket
+ */
+function recordFeeEstimateAccuracy(ticketData) {
+  const { price, quantity, fee } = ticketData;
+  if (typeof price !== 'number' || !(price > 0 && price < 1) || !Number.isInteger(quantity) || quantity <= 0) {
+    return;
+  }
+  
+  const actualFee = typeof fee?.totalFee === 'number' ? fee.totalFee
+    : typeof fee?.perContractFee === 'number' ? fee.perContractFee * quantity : null;
+  if (actualFee === null) return;
+  
+  const feeType = detectOrderRole(price, ticketData.side).feeType;
+  const seriesTicker = getSeriesTicker();
+  const calibrationKey = `${seriesTicker}:${price}:${quantity}:${feeType}:${actualFee}`;
+  if (helperPanelState.lastCalibrationKey === calibrationKey) return;
+  helperPanelState.lastCalibrationKey = calibrationKey;
+  
+  const feeEstimate = calculateKalshiFeeEstimate(price, quantity, { feeType, seriesTicker });
+  if (!feeEstimate) return;
+  const estimatedFee = feeEstimate.totalFee;
+  
+  const error = Math.abs(estimatedFee - actualFee);
+  const accuracy = fallbackFeeDetectionState.estimationAccuracy;
+  accuracy.totalEstimations++;
+  if (error < 0.005) {
+    accuracy.accurateEstimations++;
+  }
+  accuracy.averageError += (error - accuracy.averageError) / accuracy.totalEstimations;
+  
+  const feeRates = feeEstimate.feeRates;
+  const record = {
+    seriesTicker: feeRates.seriesTicker,
+    price,
+    quantity,
+    feeType,
+    estimatedFee,
+    actualFee,
+    // The schedule rate, not a calibrated one, so the background can tell whether the schedule is off
+    scheduleRate: KALSHI_FEE_SCHEDULE.categories[feeRates.category || 'standard'][feeType],
+    recordedAt: Date.now()
+  };
+  
+  KalshiLogger.info('CALCULATION', 'Fee estimate compared with ticket', record);
+  
+  // Rates are fitted per series, so pairs from pages without one are only counted locally
+  if (!record.seriesTicker) return;
+  
+  chrome.runtime.sendMessage({ type: 'FEE_CALIBRATION_RECORD', record }).then((response) => {
+    if (!response?.success) {
+      console.warn('Failed to record fee calibration:', response?.error);
+    }
+  }).catch((error) => {
+    console.error('Error recording fee calibration:', error);
+  });
+}
+
+// ============================================================================
+// ANNUALIZED RETURN
+// ============================================================================
+
+// Annualized figures above this are shown as a floor rather than an absurd number
+const MAX_DISPLAYED_ANNUALIZED_RETURN = 100; // 10,000%
+
+const CLOSE_DATE_KEYWORDS = /\b(closes?|closing|close date|expires?|expiration|expiry|ends?)\b/i;
+const CLOSE_DATE_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?(?:,?\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)(?:\s+([a-z]{2,4})\b)?)?/i;
+
+// US zone abbreviations Kalshi prints after times; standard/daylight variants follow the zone's own clock
+const CLOSE_DATE_TIME_ZONES = {
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver',
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+  UTC: 'UTC', GMT: 'UTC'
+};
+
+/**
+ * Convert a wall-clock time in an IANA time zone to the instant it names
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of the month
+ * @param {number} hours - Hour (0-23)
+ * @param {number} minutes - Minute (0-59)
+ * @param {string} timeZone - IANA time zone such as 'America/New_York'
+ * @returns {Date} The instant
+ */
+function zonedTimeToDate(year, month, day, hours, minutes, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  const offsetAt = (instant) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - instant;
+  };
+  
+  const wallTime = Date.UTC(year, month, day, hours, minutes);
+  // Re-check the offset at the first guess so times near a DST switch land on the right side
+  const guess = wallTime - offsetAt(wallTime);
+  return new Date(wallTime - offsetAt(guess));
+}
+
+/**
+ * Parse a close date out of text such as "Closes Dec 31, 2025 at 5:00 PM ET"
+ * A missing year means the next occurrence of that day; a missing time means the end of the day.
+ * Times followed by a US zone (ET, PT, ...) or UTC are read in that zone, others in the browser's
+ * @param {string} text - Text following a close/expiry keyword
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Close date, or null if none is found
+ */
+function parseCloseDateText(text, now = new Date()) {
+  const match = text?.match(CLOSE_DATE_PATTERN);
+  if (!match) return null;
+  
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const month = months.indexOf(match[1].slice(0, 3).toLowerCase());
+  const day = parseInt(match[2], 10);
+  let hours = 23;
+  let minutes = 59;
+  
+  if (match[4]) {
+    hours = parseInt(match[4], 10) % 12 + (match[6].toLowerCase() === 'pm' ? 12 : 0);
+    minutes = match[5] ? parseInt(match[5], 10) : 0;
+  }
+  
+  // Reject days the month doesn't have (e.g. Feb 30) before building the instant
+  const year = match[3] ? parseInt(match[3], 10) : now.getFullYear();
+  const calendarDay = new Date(Date.UTC(year, month, day));
+  if (calendarDay.getUTCMonth() !== month || calendarDay.getUTCDate() !== day) return null;
+  
+  const timeZone = match[7] ? CLOSE_DATE_TIME_ZONES[match[7].toUpperCase()] : null;
+  const toDate = (inYear) => timeZone
+    ? zonedTimeToDate(inYear, month, day, hours, minutes, timeZone)
+    : new Date(inYear, month, day, hours, minutes);
+  
+  const date = toDate(year);
+  return !match[3] && date < now ? toDate(year + 1) : date;
+}
+
+/**
+ * Find the market's close or expiration date on the page
+ * Prefers <time datetime> elements labelled as a close/expiry, then visible text
+ * @param {Iterable<Element>|null} scopes - Elements to search, or null for the whole page
+ * @returns {Date|null} Close date, or null when the searched elements don't show one
+ */
+function detectMarketCloseDate(scopes = null) {
+  const roots = scopes ? Array.from(scopes).filter(scope => scope.isConnected).map(widenCloseDateScope) : [document.body];
+  
+  for (const root of roots) {
+    const times = root.matches?.('time[datetime]') ? [root] : root.querySelectorAll('time[datetime]');
+    for (const time of times) {
+      const label = time.parentElement?.textContent || '';
+      const date = new Date(time.getAttribute('datetime'));
+      if (CLOSE_DATE_KEYWORDS.test(label) && !isNaN(date)) {
+        return date;
+      }
+    }
+  }
+  
+  for (const root of roots) {
+    const date = findCloseDateInText(root);
+    if (date) return date;
+  }
+  
+  return null;
+}
+
+/**
+ * Widen a changed element to the small block around it, so a date re-rendered on its own
+ * is still read together with its "Closes" label
+ */
+function widenCloseDateScope(element) {
+  let scope = element;
+  for (let depth = 0; depth < 3 && scope.parentElement && scope.parentElement !== document.body; depth++) {
+    if ((scope.parentElement.textContent || '').length > 200) break;
+    scope = scope.parentElement;
+  }
+  return scope;
+}
+
+/**
+ * Find a close date in the visible text under an element
+ * @param {Element} root - Element to walk
+ * @returns {Date|null} Close date, or null if none is found
+ */
+function findCloseDateInText(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+  let node;
+  while (node = walker.nextNode()) {
+    if (!CLOSE_DATE_KEYWORDS.test(node.textContent) || node.parentElement?.closest('[data-kalshi-ao-odds], #kalshi-ao-odds-card')) {
+      continue;
+    }
+    
+    // The keyword and the date are often in sibling spans, so read a small surrounding element
+    let element = node.parentElement;
+    for (let depth = 0; element && depth < 3; depth++, element = element.parentElement) {
+      const text = element.textContent || '';
+      if (text.length > 200) break;
+      
+      const keyword = text.match(CLOSE_DATE_KEYWORDS);
+      const date = keyword ? parseCloseDateText(text.slice(keyword.index)) : null;
+      if (date) return date;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Detect the close date of a single-market page and refresh badges when it is found
+ * A new path is scanned in full once; until a date turns up, later passes only search
+ * the elements that changed. Pages that aren't a market page never get a date, since
+ * their rows can belong to markets that close at different times
+ * @param {Set<Element>|null} mutationRoots - Elements changed since the last pass, or null for the whole page
+ */
+function updateMarketCloseDate(mutationRoots = null) {
+  const path = window.location.pathname;
+  const pathChanged = marketCloseState.path !== path;
+  if (!pathChanged && (marketCloseState.date || !marketCloseState.ticker || mutationRoots?.size === 0)) {
+    return;
+  }
+  
+  const ticker = parseMarketTickerFromPath(path);
+  const date = ticker ? detectMarketCloseDate(pathChanged ? null : mutationRoots) : null;
+  const hadDate = !!marketCloseState.date;
+  marketCloseState = { path, ticker, date };
+  
+  if (date || hadDate) {
+    KalshiLogger.debug('PROCESSING', 'Market close date detected', { path, date: date?.toISOString() || null });
+    refreshAnnualizedReturns();
+  }
+}
+
+/**
+ * Close date for a market, known only for the market whose page is being viewed
+ * @param {string|null} ticker - Market ticker
+ * @returns {Date|null} Close date, or null when the market isn't the page's market
+ */
+function getMarketCloseDate(ticker) {
+  return ticker && ticker.toUpperCase() === marketCloseState.ticker ? marketCloseState.date : null;
+}
+
+/**
+ * Annualize the return of a contract held to resolution
+ * @param {number} cost - All-in cost per contract (price + fee per contract)
+ * @param {Date} closeDate - When the market closes
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Object|null} Days to close, the return if it wins, and its simple and compounded annual rates
+ */
+function calculateAnnualizedReturn(cost, closeDate, now = Date.now()) {
+  if (!(cost > 0 && cost < 1) || !(closeDate instanceof Date) || isNaN(closeDate)) {
+    return null;
+  }
+  
+  const days = (closeDate.getTime() - now) / 86400000;
+  if (days <= 0) return null;
+  
+  const periodReturn = (1 - cost) / cost;
+  const periodsPerYear = 365 / days;
+  
+  return {
+    days,
+    periodReturn,
+    simple: periodReturn * periodsPerYear,
+    compounded: Math.pow(1 + periodReturn, periodsPerYear) - 1
+  };
+}
+
+/**
+ * Format an annual rate as a percentage, capping absurd values from very short horizons
+ */
+function formatAnnualizedPercent(rate) {
+  if (!isFinite(rate) || rate > MAX_DISPLAYED_ANNUALIZED_RETURN) {
+    return `>${(MAX_DISPLAYED_ANNUALIZED_RETURN * 100).toLocaleString()}%`;
+  }
+  return `${(rate * 100).toFixed(rate < 1 ? 1 : 0)}%`;
+}
+
+/**
+ * Format days to close compactly (hours when under a day)
+ */
+function formatDaysToClose(days) {
+  return days < 1 ? `${Math.max(1, Math.round(days * 24))}h` : `${days < 10 ? days.toFixed(1) : Math.round(days)}d`;
+}
+
+/**
+ * Describe an annualized return in one line, compared with the user's rate when set
+ */
+function describeAnnualizedReturn(annualized) {
+  const comparison = comparisonRate !== null
+    ? ` (${annualized.simple >= comparisonRate / 100 ? 'beats' : 'below'} your ${comparisonRate}%)`
+    : '';
+  return `Closes in ${formatDaysToClose(annualized.days)}: ${formatAnnualizedPercent(annualized.simple)} simple / ` +
+    `${formatAnnualizedPercent(annualized.compounded)} compounded per year if it wins${comparison}`;
+}
+
+/**
+ * Show days to close and the annualized after-fee return inside an odds badge
+ * Fees are those of the after-fee badge's default order size and fee type
+ */
+function attachAnnualizedReturn(oddsElement) {
+  if (!oddsElement) return;
+  
+  oddsElement.querySelectorAll('[data-kalshi-ao-annualized]').forEach(badge => badge.remove());
+  
+  const price = parseFloat(oddsElement.getAttribute('data-probability'));
+  const afterFee = calculateBadgeAfterFeeOdds(price, oddsElement.getAttribute('data-market-ticker') || null);
+  const closeDate = getMarketCloseDate(oddsElement.getAttribute('data-market-ticker') || null);
+  const annualized = afterFee && closeDate ? calculateAnnualizedReturn(price + afterFee.feePerContract, closeDate) : null;
+  if (!annualized) return;
+  
+  const beatsRate = comparisonRate === null || annualized.simple >= comparisonRate / 100;
+  const badge = document.createElement('span');
+  badge.className = `kalshi-ao-annualized ${beatsRate ? 'positive' : 'negative'}`;
+  badge.setAttribute('data-kalshi-ao-annualized', '1');
+  badge.textContent = ` ${formatDaysToClose(annualized.days)} · ${formatAnnualizedPercent(annualized.simple)}/yr`;
+  
+  oddsElement.appendChild(badge);
+}
+
+/**
+ * Re-render annualized returns on every injected odds element
+ */
+function refreshAnnualizedReturns() {
+  document.querySelectorAll('[data-kalshi-ao-odds]').forEach(attachAnnualizedReturn);
+}
+
+/**
+ * Load the user's comparison interest rate from local storage
+ */
+async function loadComparisonRate() {
+  try {
+    const result = await chrome.storage.local.get({ comparisonRate: null });
+    comparisonRate = typeof result.comparisonRate === 'number' ? result.comparisonRate : null;
+  } catch (error) {
+    console.error('Failed to load comparison rate:', error);
+    comparisonRate = null;
+  }
+}
+
+/**
+ * Keep the comparison rate in sync when it is edited from the popup
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.comparisonRate) {
+    comparisonRate = typeof changes.comparisonRate.newValue === 'number' ? changes.comparisonRate.newValue : null;
+    refreshAnnualizedReturns();
+  }
+});
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
+
+// ============================================================================
+// ULTRA-ROBUST ODDS PROTECTION SYSTEM
+// ============================================================================
+
+/**
+ * Ultra-robust protection system to prevent odds from being removed
+ * This system implements multiple layers of protection against aggressive DOM clearing
+ */
+
+// Global protection state
+let protectionSystem = {
+  isActive: false,
+  protectedElements: new WeakSet(),
+  protectionInterval: null,
+  removalAttempts: 0,
+  lastProtectionCheck: 0
+};
+
+/**
+ * Protect an odds element from removal attempts
+ */
+function protectOddsElement(element) {
+  if (!element || protectionSystem.protectedElements.has(element)) {
+    return; // Already protected
+  }
+  
+  // Mark as protected
+  protectionSystem.protectedElements.add(element);
+  element.setAttribute('data-kalshi-ao-protected', 'true');
+  
+  // Override remove method to prevent removal
+  const originalRemove = element.remove;
+  element.remove = function() {
     protectionSystem.removalAttempts++;
     console.log('🛡️ Blocked removal attempt on protected odds element', {
       attempts: protectionSystem.removalAttempts,
@@ -10762,6 +15820,9 @@ function setupUltraRobustMutationObserver() {
       let oddsRemovalDetected = false;
       
       mutations.forEach((mutation) => {
+        // Side price buttons ("Yes 45¢") don't trigger a pass themselves, so every change is tracked
+        trackMutationRoot(mutation.type === 'characterData' ? mutation.target.parentElement : mutation.target);
+        
         // Check for added nodes that might contain probability/price data
         if (mutation.type === 'childList') {
           // Check added nodes
@@ -10873,7 +15934,7 @@ const debouncedProcessPageUltraRobust = debounce(() => {
     console.log('🔄 Ultra-robust processing triggered');
     
     // Run standard processing
-    processPage();
+    processPage(takePendingMutationRoots());
     
     // Start protection system if not already active (DISABLED - testing)
     // if (!protectionSystem.isActive) {
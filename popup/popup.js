@@ -5,17 +5,70 @@
 
 // Default settings
 const defaultSettings = {
-  displayMode: 'rawAmerican'
+  displayMode: 'rawAmerican',
+  devigMethod: 'multiplicative',
+  journalEnabled: false,
+  americanPrecision: '1',
+  decimalPrecision: '2',
+  fractionalStyle: 'ladder',
+  afterFeeQuantity: '1',
+  afterFeeType: 'taker'
 };
 
 let currentSettings = { ...defaultSettings };
 
+// User probability estimates keyed by market ticker (chrome.storage.local)
+let marketEstimates = {};
+
+// Fee-rate overrides keyed by series ticker (chrome.storage.local)
+let feeOverrides = {};
+
+// Submitted-ticket snapshots, oldest first (chrome.storage.local)
+let tradeJournal = [];
+
+// Pending "clear journal" confirmation; a second click within the window clears it
+let clearJournalConfirmTimer = null;
+const CLEAR_CONFIRM_WINDOW_MS = 4000;
+
+// Price alerts created from market pages (chrome.storage.local)
+let priceAlerts = [];
+
+// Starred markets keyed by ticker, with last-seen prices (chrome.storage.local)
+let watchlist = {};
+
+// Maximum order cost in dollars for quantity suggestions (chrome.storage.local)
+let orderBudget = null;
+
+// Interest rate (% per year) annualized returns are compared with (chrome.storage.local)
+let comparisonRate = null;
+
+// Estimated vs. actual ticket fees and the rates fitted from them (chrome.storage.local, written by the background)
+let feeCalibration = [];
+let calibratedFeeRates = {};
+
 /**
  * Initialize popup
  */
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
+  await loadMarketEstimates();
+  await loadFeeOverrides();
+  await loadTradeJournal();
+  await loadPriceAlerts();
+  await loadWatchlist();
+  await loadOrderBudget();
+  await loadComparisonRate();
+  await loadFeeCalibration();
   updateUI();
+  renderMarketEstimates();
+  renderFeeOverrides();
+  renderTradeJournal();
+  renderPriceAlerts();
+  renderWatchlist();
+  renderOrderBudget();
+  renderComparisonRate();
+  renderFeeCalibration();
+  prefillEstimateTicker();
   setupEventListeners();
   validateForm();
 });
@@ -38,15 +91,75 @@ async function loadSettings() {
  * Update UI to reflect current settings
  */
 function updateUI() {
+  updateDisplayFormatList();
+  
   // Update radio buttons
-  const displayModeRadio = document.querySelector(`input[name="displayMode"][value="${currentSettings.displayMode}"]`);
-  if (displayModeRadio) {
-    displayModeRadio.checked = true;
+  ['devigMethod', 'americanPrecision', 'decimalPrecision', 'fractionalStyle', 'afterFeeQuantity', 'afterFeeType'].forEach(groupName => {
+    const radio = document.querySelector(`input[name="${groupName}"][value="${currentSettings[groupName]}"]`);
+    if (radio) {
+      radio.checked = true;
+    } else {
+      // Fallback to default if invalid value
+      const defaultRadio = document.querySelector(`input[name="${groupName}"][value="${defaultSettings[groupName]}"]`);
+      if (defaultRadio) defaultRadio.checked = true;
+    }
+  });
+  
+  const journalCheckbox = document.getElementById('journalEnabled');
+  if (journalCheckbox) {
+    journalCheckbox.checked = currentSettings.journalEnabled === true;
+  }
+}
+
+/**
+ * Order and check the display format list to match the saved displayMode
+ * Selected formats come first in their saved order; the rest keep their page order
+ */
+function updateDisplayFormatList() {
+  const list = document.getElementById('displayFormats');
+  if (!list) return;
+  
+  const modes = Array.isArray(currentSettings.displayMode) ? currentSettings.displayMode : [currentSettings.displayMode];
+  const items = Array.from(list.querySelectorAll('li[data-format]'));
+  const selected = modes
+    .map(mode => items.find(item => item.dataset.format === mode))
+    .filter(Boolean);
+  
+  [...selected, ...items.filter(item => !selected.includes(item))].forEach(item => {
+    item.querySelector('input[name="displayFormat"]').checked = selected.includes(item);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Read the display format list back into a displayMode value
+ * None selected is 'percent' and a single format stays a plain string
+ */
+function getSelectedDisplayMode() {
+  const formats = Array.from(document.querySelectorAll('input[name="displayFormat"]:checked'))
+    .map(input => input.value);
+  
+  if (formats.length === 0) return 'percent';
+  return formats.length === 1 ? formats[0] : formats;
+}
+
+/**
+ * Move a display format up or down the list and save the new order
+ */
+function handleDisplayFormatMove(event) {
+  const button = event.target.closest('[data-move]');
+  if (!button) return;
+  
+  const item = button.closest('li[data-format]');
+  if (button.dataset.move === 'up' && item.previousElementSibling) {
+    item.parentElement.insertBefore(item, item.previousElementSibling);
+  } else if (button.dataset.move === 'down' && item.nextElementSibling) {
+    item.parentElement.insertBefore(item.nextElementSibling, item);
   } else {
-    // Fallback to default if invalid value
-    const defaultRadio = document.querySelector(`input[name="displayMode"][value="${defaultSettings.displayMode}"]`);
-    if (defaultRadio) defaultRadio.checked = true;
+    return;
   }
+  
+  saveSettings().catch(() => {});
 }
 
 /**
@@ -59,7 +172,7 @@ function setupEventListeners() {
   }
 
   // Real-time validation and visual feedback
-  const inputs = document.querySelectorAll('input[type="radio"]');
+  const inputs = document.querySelectorAll('input[type="radio"], input[name="journalEnabled"], input[name="displayFormat"]');
   inputs.forEach(input => {
     input.addEventListener('change', () => {
       validateForm();
@@ -69,6 +182,94 @@ function setupEventListeners() {
     });
   });
 
+  document.getElementById('displayFormats')?.addEventListener('click', handleDisplayFormatMove);
+
+  // Probability estimates
+  const addEstimateButton = document.getElementById('addEstimate');
+  if (addEstimateButton) {
+    addEstimateButton.addEventListener('click', handleAddEstimate);
+  }
+  
+  ['estimateTicker', 'estimateProbability'].forEach(id => {
+    document.getElementById(id)?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        handleAddEstimate();
+      }
+    });
+  });
+
+  // Fee overrides
+  const addFeeOverrideButton = document.getElementById('addFeeOverride');
+  if (addFeeOverrideButton) {
+    addFeeOverrideButton.addEventListener('click', handleAddFeeOverride);
+  }
+  
+  ['overrideSeries', 'overrideTaker', 'overrideMaker'].forEach(id => {
+    document.getElementById(id)?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        handleAddFeeOverride();
+      }
+    });
+  });
+
+  // Order budget
+  document.getElementById('saveOrderBudget')?.addEventListener('click', handleSaveOrderBudget);
+  document.getElementById('orderBudget')?.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      event.stopPropagation();
+      handleSaveOrderBudget();
+    }
+  });
+
+  // Comparison interest rate
+  document.getElementById('saveComparisonRate')?.addEventListener('click', handleSaveComparisonRate);
+  document.getElementById('comparisonRate')?.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      event.stopPropagation();
+      handleSaveComparisonRate();
+    }
+  });
+
+  // Export & import
+  document.getElementById('exportJson')?.addEventListener('click', () => handleExport('json'));
+  document.getElementById('exportCsv')?.addEventListener('click', () => handleExport('csv'));
+  document.getElementById('importData')?.addEventListener('click', handleImport);
+  // Keep the import option from triggering the settings autosave
+  document.getElementById('importReplace')?.addEventListener('change', (event) => event.stopPropagation());
+
+  // Trade journal
+  const journalFilter = document.getElementById('journalFilter');
+  if (journalFilter) {
+    journalFilter.addEventListener('input', renderTradeJournal);
+    journalFilter.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    });
+  }
+  
+  document.getElementById('journalSideFilter')?.addEventListener('change', renderTradeJournal);
+  document.getElementById('clearJournal')?.addEventListener('click', handleClearJournal);
+
+  // Alerts fire and record prices in the background while the popup is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.priceAlerts) {
+      priceAlerts = changes.priceAlerts.newValue || [];
+      renderPriceAlerts();
+    }
+    if (areaName === 'local' && changes.watchlist) {
+      watchlist = changes.watchlist.newValue || {};
+      renderWatchlist();
+    }
+  });
+
   // Add keyboard support
   document.addEventListener('keydown', (event) => {
     if (event.key === 'Enter' && event.target.tagName !== 'BUTTON') {
@@ -144,7 +345,7 @@ function validateForm() {
  * Validate radio button groups
  */
 function validateRadioGroups() {
-  const radioGroups = ['displayMode'];
+  const radioGroups = ['devigMethod', 'americanPrecision', 'decimalPrecision', 'fractionalStyle', 'afterFeeQuantity', 'afterFeeType'];
   
   for (const groupName of radioGroups) {
     const checkedRadio = document.querySelector(`input[name="${groupName}"]:checked`);
@@ -167,10 +368,24 @@ async function saveSettings() {
     }
 
     // Collect current form values
-    const displayMode = document.querySelector('input[name="displayMode"]:checked')?.value || defaultSettings.displayMode;
+    const displayMode = getSelectedDisplayMode();
+    const devigMethod = document.querySelector('input[name="devigMethod"]:checked')?.value || defaultSettings.devigMethod;
+    const journalEnabled = document.getElementById('journalEnabled')?.checked === true;
+    const americanPrecision = document.querySelector('input[name="americanPrecision"]:checked')?.value || defaultSettings.americanPrecision;
+    const decimalPrecision = document.querySelector('input[name="decimalPrecision"]:checked')?.value || defaultSettings.decimalPrecision;
+    const fractionalStyle = document.querySelector('input[name="fractionalStyle"]:checked')?.value || defaultSettings.fractionalStyle;
+    const afterFeeQuantity = document.querySelector('input[name="afterFeeQuantity"]:checked')?.value || defaultSettings.afterFeeQuantity;
+    const afterFeeType = document.querySelector('input[name="afterFeeType"]:checked')?.value || defaultSettings.afterFeeType;
 
     const newSettings = {
-      displayMode
+      displayMode,
+      devigMethod,
+      journalEnabled,
+      americanPrecision,
+      decimalPrecision,
+      fractionalStyle,
+      afterFeeQuantity,
+      afterFeeType
     };
 
     // Validate setting values
@@ -181,6 +396,7 @@ async function saveSettings() {
     // Save to storage
     await chrome.storage.sync.set(newSettings);
     currentSettings = newSettings;
+    renderWatchlist();
 
     // Notify content scripts
     await notifyContentScripts(newSettings);
@@ -199,7 +415,14 @@ async function saveSettings() {
  */
 function validateSettingValues(settings) {
   const validValues = {
-    displayMode: ['percent', 'rawAmerican', 'fractional', 'decimal']
+    displayMode: ['percent', 'rawAmerican', 'fractional', 'decimal', 'fairAmerican', 'hongKong', 'malay', 'indonesian', 'probability', 'afterFeeAmerican'],
+    devigMethod: ['multiplicative', 'additive', 'power', 'shin'],
+    journalEnabled: [true, false],
+    americanPrecision: ['5', '1', '0.1'],
+    decimalPrecision: ['2', '3'],
+    fractionalStyle: ['ladder', 'exact'],
+    afterFeeQuantity: ['1', '10', '100'],
+    afterFeeType: ['taker', 'maker']
   };
 
   for (const [key, value] of Object.entries(settings)) {
@@ -207,6 +430,15 @@ function validateSettingValues(settings) {
       // Ignore legacy settings that are no longer used
       console.log(`Ignoring legacy setting: ${key}`);
       continue;
+    } else if (key === 'displayMode' && Array.isArray(value)) {
+      // An ordered list of badge formats: no duplicates and no 'percent'
+      const isValidList = value.length > 0 &&
+        new Set(value).size === value.length &&
+        value.every(mode => mode !== 'percent' && validValues.displayMode.includes(mode));
+      if (!isValidList) {
+        console.error(`Invalid ${key} value:`, value);
+        return false;
+      }
     } else if (validValues[key] && !validValues[key].includes(value)) {
       console.error(`Invalid ${key} value:`, value);
       return false;
@@ -258,6 +490,1331 @@ async function notifyContentScripts(newSettings) {
   }
 }
 
+/**
+ * Load probability estimates from local storage
+ */
+async function loadMarketEstimates() {
+  try {
+    const result = await chrome.storage.local.get({ marketEstimates: {} });
+    marketEstimates = result.marketEstimates || {};
+  } catch (error) {
+    console.error('Failed to load market estimates:', error);
+    showStatus('Failed to load estimates', 'error');
+  }
+}
+
+/**
+ * Render the list of probability estimates
+ */
+function renderMarketEstimates() {
+  const list = document.getElementById('estimateList');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  
+  Object.entries(marketEstimates)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([ticker, estimate]) => {
+      const item = document.createElement('li');
+      
+      const label = document.createElement('span');
+      label.textContent = `${ticker}: ${(estimate.probability * 100).toFixed(1)}%`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'item-remove';
+      removeButton.textContent = '×';
+      removeButton.title = `Remove estimate for ${ticker}`;
+      removeButton.addEventListener('click', () => handleDeleteEstimate(ticker));
+      
+      item.append(label, removeButton);
+      list.appendChild(item);
+    });
+}
+
+/**
+ * Prefill the ticker field from the active Kalshi market tab
+ */
+async function prefillEstimateTicker() {
+  const tickerInput = document.getElementById('estimateTicker');
+  if (!tickerInput) return;
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url || !tab.url.startsWith('https://kalshi.com/markets/')) return;
+    
+    const segments = new URL(tab.url).pathname.split('/').filter(Boolean);
+    if (segments.length >= 2) {
+      tickerInput.value = decodeURIComponent(segments[segments.length - 1]).toUpperCase();
+    }
+  } catch (error) {
+    console.log('Could not read active tab URL:', error.message);
+  }
+}
+
+/**
+ * Add or replace the estimate for a market
+ */
+async function handleAddEstimate() {
+  const tickerInput = document.getElementById('estimateTicker');
+  const probabilityInput = document.getElementById('estimateProbability');
+  
+  const ticker = tickerInput.value.trim().toUpperCase();
+  const percent = parseFloat(probabilityInput.value);
+  
+  if (!ticker) {
+    showStatus('Enter a market ticker', 'error');
+    return;
+  }
+  
+  if (isNaN(percent) || percent < 0 || percent > 100) {
+    showStatus('Probability must be between 0 and 100', 'error');
+    return;
+  }
+  
+  try {
+    marketEstimates = {
+      ...marketEstimates,
+      [ticker]: { probability: percent / 100, updatedAt: Date.now() }
+    };
+    await chrome.storage.local.set({ marketEstimates });
+    
+    probabilityInput.value = '';
+    renderMarketEstimates();
+    showStatus(`Estimate saved for ${ticker}`, 'success');
+  } catch (error) {
+    console.error('Failed to save estimate:', error);
+    showStatus('Failed to save estimate', 'error');
+  }
+}
+
+/**
+ * Delete the estimate for a market
+ */
+async function handleDeleteEstimate(ticker) {
+  try {
+    const { [ticker]: removed, ...remaining } = marketEstimates;
+    marketEstimates = remaining;
+    await chrome.storage.local.set({ marketEstimates });
+    
+    renderMarketEstimates();
+    showStatus(`Estimate removed for ${ticker}`, 'success');
+  } catch (error) {
+    console.error('Failed to remove estimate:', error);
+    showStatus('Failed to remove estimate', 'error');
+  }
+}
+
+/**
+ * Load fee overrides from local storage
+ */
+async function loadFeeOverrides() {
+  try {
+    const result = await chrome.storage.local.get({ feeOverrides: {} });
+    feeOverrides = result.feeOverrides || {};
+  } catch (error) {
+    console.error('Failed to load fee overrides:', error);
+    showStatus('Failed to load fee overrides', 'error');
+  }
+}
+
+/**
+ * Render the list of fee overrides
+ */
+function renderFeeOverrides() {
+  const list = document.getElementById('feeOverrideList');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  
+  Object.entries(feeOverrides)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([series, override]) => {
+      const item = document.createElement('li');
+      
+      const label = document.createElement('span');
+      label.textContent = `${series}: ${(override.taker * 100).toFixed(2)}% taker / ${(override.maker * 100).toFixed(2)}% maker`;
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'item-remove';
+      removeButton.textContent = '×';
+      removeButton.title = `Remove fee override for ${series}`;
+      removeButton.addEventListener('click', () => handleDeleteFeeOverride(series));
+      
+      item.append(label, removeButton);
+      list.appendChild(item);
+    });
+}
+
+/**
+ * Add or replace the fee override for a series
+ */
+async function handleAddFeeOverride() {
+  const seriesInput = document.getElementById('overrideSeries');
+  const takerInput = document.getElementById('overrideTaker');
+  const makerInput = document.getElementById('overrideMaker');
+  
+  const series = seriesInput.value.trim().toUpperCase();
+  const takerPercent = parseFloat(takerInput.value);
+  const makerPercent = makerInput.value === '' ? takerPercent / 4 : parseFloat(makerInput.value);
+  
+  if (!series) {
+    showStatus('Enter a series ticker', 'error');
+    return;
+  }
+  
+  if ([takerPercent, makerPercent].some(rate => isNaN(rate) || rate < 0 || rate > 100)) {
+    showStatus('Fee rates must be between 0 and 100', 'error');
+    return;
+  }
+  
+  try {
+    feeOverrides = {
+      ...feeOverrides,
+      [series]: { taker: takerPercent / 100, maker: makerPercent / 100, updatedAt: Date.now() }
+    };
+    await chrome.storage.local.set({ feeOverrides });
+    
+    seriesInput.value = '';
+    takerInput.value = '';
+    makerInput.value = '';
+    renderFeeOverrides();
+    showStatus(`Fee override saved for ${series}`, 'success');
+  } catch (error) {
+    console.error('Failed to save fee override:', error);
+    showStatus('Failed to save fee override', 'error');
+  }
+}
+
+/**
+ * Load the order budget cap from local storage
+ */
+async function loadOrderBudget() {
+  try {
+    const result = await chrome.storage.local.get({ orderBudget: null });
+    orderBudget = result.orderBudget > 0 ? result.orderBudget : null;
+  } catch (error) {
+    console.error('Failed to load order budget:', error);
+    showStatus('Failed to load order budget', 'error');
+  }
+}
+
+/**
+ * Show the saved order budget in its input
+ */
+function renderOrderBudget() {
+  const input = document.getElementById('orderBudget');
+  if (input) {
+    input.value = orderBudget ?? '';
+  }
+}
+
+/**
+ * Save the order budget; an empty field removes the cap
+ */
+async function handleSaveOrderBudget() {
+  const input = document.getElementById('orderBudget');
+  const budget = input.value.trim() === '' ? null : parseFloat(input.value);
+  
+  if (budget !== null && (isNaN(budget) || budget <= 0)) {
+    showStatus('Budget must be a positive dollar amount', 'error');
+    return;
+  }
+  
+  try {
+    orderBudget = budget;
+    await chrome.storage.local.set({ orderBudget });
+    renderOrderBudget();
+    showStatus(budget ? `Order budget set to $${budget.toFixed(2)}` : 'Order budget removed', 'success');
+  } catch (error) {
+    console.error('Failed to save order budget:', error);
+    showStatus('Failed to save order budget', 'error');
+  }
+}
+
+/**
+ * Load the comparison interest rate from local storage
+ */
+async function loadComparisonRate() {
+  try {
+    const result = await chrome.storage.local.get({ comparisonRate: null });
+    comparisonRate = typeof result.comparisonRate === 'number' ? result.comparisonRate : null;
+  } catch (error) {
+    console.error('Failed to load comparison rate:', error);
+    showStatus('Failed to load comparison rate', 'error');
+  }
+}
+
+/**
+ * Show the saved comparison rate in its input
+ */
+function renderComparisonRate() {
+  const input = document.getElementById('comparisonRate');
+  if (input) {
+    input.value = comparisonRate ?? '';
+  }
+}
+
+/**
+ * Save the comparison interest rate; an empty field turns the comparison off
+ */
+async function handleSaveComparisonRate() {
+  const input = document.getElementById('comparisonRate');
+  const rate = input.value.trim() === '' ? null : parseFloat(input.value);
+  
+  if (rate !== null && (isNaN(rate) || rate < 0 || rate > 100)) {
+    showStatus('Interest rate must be between 0 and 100', 'error');
+    return;
+  }
+  
+  try {
+    comparisonRate = rate;
+    await chrome.storage.local.set({ comparisonRate });
+    renderComparisonRate();
+    showStatus(rate !== null ? `Comparing returns with ${rate}% per year` : 'Interest rate comparison removed', 'success');
+  } catch (error) {
+    console.error('Failed to save comparison rate:', error);
+    showStatus('Failed to save comparison rate', 'error');
+  }
+}
+
+/**
+ * Load fee calibration records and fitted rates from local storage
+ */
+async function loadFeeCalibration() {
+  try {
+    const result = await chrome.storage.local.get({ feeCalibration: [], calibratedFeeRates: {} });
+    feeCalibration = result.feeCalibration || [];
+    calibratedFeeRates = result.calibratedFeeRates || {};
+  } catch (error) {
+    console.error('Failed to load fee calibration:', error);
+    showStatus('Failed to load fee calibration', 'error');
+  }
+}
+
+/**
+ * Summarize how close fee estimates came to tickets' actual fees
+ * @returns {Object} Count, share exact to the cent and average error in cents
+ */
+function summarizeFeeCalibration(records) {
+  const errors = records.map(record => Math.abs(record.estimatedFee - record.actualFee));
+  return {
+    count: records.length,
+    exactShare: records.length ? errors.filter(error => error < 0.005).length / records.length : 0,
+    averageErrorCents: records.length ? errors.reduce((sum, error) => sum + error, 0) / records.length * 100 : 0
+  };
+}
+
+/**
+ * Render overall and per-series fee estimate accuracy
+ */
+function renderFeeCalibration() {
+  const summary = document.getElementById('feeCalibrationSummary');
+  const list = document.getElementById('feeCalibrationList');
+  if (!summary || !list) return;
+  
+  const describe = ({ count, exactShare, averageErrorCents }) =>
+    `${count} ticket${count === 1 ? '' : 's'} · ${Math.round(exactShare * 100)}% exact · avg error ${averageErrorCents.toFixed(1)}¢`;
+  
+  summary.textContent = feeCalibration.length
+    ? describe(summarizeFeeCalibration(feeCalibration))
+    : 'No estimates compared with ticket fees yet';
+  
+  list.innerHTML = '';
+  
+  const seriesTickers = [...new Set(feeCalibration.map(record => record.seriesTicker))].sort();
+  seriesTickers.forEach(series => {
+    const item = document.createElement('li');
+    const rates = calibratedFeeRates[series];
+    const adjusted = rates
+      ? ['taker', 'maker']
+        .filter(feeType => typeof rates[feeType] === 'number')
+        .map(feeType => `${feeType} → ${(rates[feeType] * 100).toFixed(2)}%`)
+        .join(', ')
+      : '';
+    
+    const label = document.createElement('span');
+    label.textContent = `${series}: ${describe(summarizeFeeCalibration(feeCalibration.filter(record => record.seriesTicker === series)))}` +
+      (adjusted ? ` · ${adjusted}` : '');
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'item-remove';
+    removeButton.textContent = '×';
+    removeButton.title = `Reset fee calibration for ${series}`;
+    removeButton.addEventListener('click', () => handleResetFeeCalibration(series));
+    
+    item.append(label, removeButton);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Forget a series' calibration so its estimates use the schedule again
+ */
+async function handleResetFeeCalibration(series) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'FEE_CALIBRATION_RESET', seriesTicker: series });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Reset failed');
+    }
+    
+    await loadFeeCalibration();
+    renderFeeCalibration();
+    showStatus(`Fee calibration reset for ${series}`, 'success');
+  } catch (error) {
+    console.error('Failed to reset fee calibration:', error);
+    showStatus('Failed to reset fee calibration', 'error');
+  }
+}
+
+/**
+ * Delete the fee override for a series
+ */
+async function handleDeleteFeeOverride(series) {
+  try {
+    const { [series]: removed, ...remaining } = feeOverrides;
+    feeOverrides = remaining;
+    await chrome.storage.local.set({ feeOverrides });
+    
+    renderFeeOverrides();
+    showStatus(`Fee override removed for ${series}`, 'success');
+  } catch (error) {
+    console.error('Failed to remove fee override:', error);
+    showStatus('Failed to remove fee override', 'error');
+  }
+}
+
+/**
+ * Load the watchlist from local storage
+ */
+async function loadWatchlist() {
+  try {
+    const result = await chrome.storage.local.get({ watchlist: {} });
+    watchlist = result.watchlist || {};
+  } catch (error) {
+    console.error('Failed to load watchlist:', error);
+    showStatus('Failed to load watchlist', 'error');
+  }
+}
+
+// Conventional bookmaker fractions, shortest price first (same ladder as the content script's badges)
+const FRACTIONAL_ODDS_LADDER = [
+  '1/100', '1/50', '1/33', '1/25', '1/20', '1/16', '1/14', '1/12', '1/10', '1/9', '1/8', '1/7',
+  '2/13', '1/6', '2/11', '1/5', '2/9', '1/4', '2/7', '3/10', '1/3', '4/11', '2/5', '4/9',
+  '1/2', '8/15', '4/7', '8/13', '4/6', '8/11', '4/5', '5/6', '10/11', '1/1', '21/20', '11/10',
+  '6/5', '5/4', '11/8', '6/4', '13/8', '7/4', '15/8', '2/1', '9/4', '5/2', '11/4', '3/1',
+  '10/3', '7/2', '4/1', '9/2', '5/1', '11/2', '6/1', '13/2', '7/1', '15/2', '8/1', '17/2',
+  '9/1', '10/1', '11/1', '12/1', '14/1', '16/1', '20/1', '25/1', '33/1', '50/1', '66/1',
+  '100/1', '150/1', '200/1', '250/1', '500/1', '1000/1'
+];
+
+/**
+ * Snap a price to the nearest fraction on the bookmaker ladder, comparing log payout ratios
+ */
+function snapToFractionalLadder(price) {
+  const target = Math.log((1 - price) / price);
+  let best = null;
+  let bestDistance = Infinity;
+  
+  FRACTIONAL_ODDS_LADDER.forEach(fraction => {
+    const [numerator, denominator] = fraction.split('/').map(Number);
+    const distance = Math.abs(Math.log(numerator / denominator) - target);
+    if (distance < bestDistance) {
+      best = fraction;
+      bestDistance = distance;
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Format a YES price in the given display mode
+ * Fair and after-fee odds need the rest of the event or the fee schedule, so they fall back to raw American odds here
+ */
+function formatPriceForDisplayMode(price, displayMode) {
+  if (!(price > 0 && price < 1)) return '—';
+  
+  if (Array.isArray(displayMode)) {
+    return displayMode.map(mode => formatPriceForDisplayMode(price, mode)).join(' | ');
+  }
+  
+  const cents = Math.round(price * 100);
+  const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+  const places = currentSettings.decimalPrecision === '3' ? 3 : 2;
+  
+  switch (displayMode) {
+    case 'percent':
+      return `${cents}%`;
+    case 'probability':
+      return `${(price * 100).toFixed(1)}%`;
+    case 'fractional': {
+      if (currentSettings.fractionalStyle !== 'exact') {
+        return snapToFractionalLadder(price);
+      }
+      const divisor = gcd(100 - cents, cents);
+      return `${(100 - cents) / divisor}/${cents / divisor}`;
+    }
+    case 'decimal':
+      return (1 / price).toFixed(places);
+    case 'hongKong':
+      return (1 / price - 1).toFixed(places);
+    case 'malay': {
+      const hongKong = 1 / price - 1;
+      return (hongKong <= 1 ? hongKong : -1 / hongKong).toFixed(places);
+    }
+    case 'indonesian': {
+      const odds = priceToAmericanOdds(price) / 100;
+      return `${odds > 0 ? '+' : ''}${odds.toFixed(places)}`;
+    }
+    default:
+      return formatAmericanOdds(priceToAmericanOdds(price));
+  }
+}
+
+/**
+ * Describe how long ago a timestamp was
+ */
+function formatTimeAgo(timestamp) {
+  if (!timestamp) return 'not seen yet';
+  
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Render starred markets, most recently seen first
+ */
+function renderWatchlist() {
+  const list = document.getElementById('watchlist');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  const items = Object.values(watchlist).sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+  
+  if (items.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'journal-empty';
+    empty.textContent = 'No starred markets';
+    list.appendChild(empty);
+    return;
+  }
+  
+  items.forEach(item => {
+    const row = document.createElement('li');
+    const content = document.createElement('div');
+    
+    const title = document.createElement(item.url ? 'a' : 'span');
+    title.className = 'journal-entry-title';
+    title.textContent = item.title || item.ticker;
+    if (item.url) {
+      title.href = item.url;
+      title.target = '_blank';
+      title.rel = 'noopener';
+    }
+    
+    const detail = document.createElement('span');
+    detail.className = 'journal-entry-detail';
+    
+    const odds = document.createElement('span');
+    odds.className = 'watchlist-odds';
+    odds.textContent = formatPriceForDisplayMode(item.lastPrice, currentSettings.displayMode);
+    
+    const price = typeof item.lastPrice === 'number' ? `${Math.round(item.lastPrice * 100)}¢ · ` : '';
+    detail.append(odds, ` · ${price}${item.ticker} · ${formatTimeAgo(item.lastSeenAt)}`);
+    
+    content.append(title, detail);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'item-remove';
+    removeButton.textContent = '×';
+    removeButton.title = `Remove ${item.ticker} from watchlist`;
+    removeButton.addEventListener('click', () => handleRemoveWatchlistItem(item.ticker));
+    
+    row.append(content, removeButton);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Remove a market from the watchlist
+ */
+async function handleRemoveWatchlistItem(ticker) {
+  try {
+    const { [ticker]: removed, ...remaining } = watchlist;
+    watchlist = remaining;
+    await chrome.storage.local.set({ watchlist });
+    
+    renderWatchlist();
+    showStatus(`${ticker} removed from watchlist`, 'success');
+  } catch (error) {
+    console.error('Failed to remove watchlist item:', error);
+    showStatus('Failed to remove from watchlist', 'error');
+  }
+}
+
+/**
+ * Load price alerts from local storage
+ */
+async function loadPriceAlerts() {
+  try {
+    const result = await chrome.storage.local.get({ priceAlerts: [] });
+    priceAlerts = Array.isArray(result.priceAlerts) ? result.priceAlerts : [];
+  } catch (error) {
+    console.error('Failed to load price alerts:', error);
+    showStatus('Failed to load price alerts', 'error');
+  }
+}
+
+/**
+ * Convert a YES price to American odds
+ */
+function priceToAmericanOdds(price) {
+  if (!(price > 0 && price < 1)) return null;
+  return price >= 0.5 ? -(price / (1 - price)) * 100 : ((1 - price) / price) * 100;
+}
+
+/**
+ * Render price alerts, active ones first
+ */
+function renderPriceAlerts() {
+  const list = document.getElementById('alertList');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  
+  if (priceAlerts.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'journal-empty';
+    empty.textContent = 'No price alerts';
+    list.appendChild(empty);
+    return;
+  }
+  
+  [...priceAlerts]
+    .sort((a, b) => (a.status === 'active' ? 0 : 1) - (b.status === 'active' ? 0 : 1) || b.createdAt - a.createdAt)
+    .forEach(alert => {
+      const item = document.createElement('li');
+      const content = document.createElement('div');
+      if (alert.status !== 'active') {
+        content.className = 'alert-triggered';
+      }
+      
+      const title = document.createElement(alert.url ? 'a' : 'span');
+      title.className = 'journal-entry-title';
+      title.textContent = `${alert.ticker} ${alert.direction} ${Math.round(alert.threshold * 100)}¢ (${formatAmericanOdds(priceToAmericanOdds(alert.threshold))})`;
+      if (alert.url) {
+        title.href = alert.url;
+        title.target = '_blank';
+        title.rel = 'noopener';
+      }
+      
+      const detail = document.createElement('span');
+      detail.className = 'journal-entry-detail';
+      const lastSeen = typeof alert.lastPrice === 'number' ? `last ${Math.round(alert.lastPrice * 100)}¢` : 'waiting for a price';
+      detail.textContent = alert.status === 'triggered'
+        ? `Triggered at ${Math.round(alert.triggerPrice * 100)}¢ · ${new Date(alert.triggeredAt).toLocaleString()}`
+        : `Active · ${lastSeen}`;
+      
+      content.append(title, detail);
+      
+      const actions = document.createElement('div');
+      actions.className = 'item-actions';
+      
+      if (alert.status === 'triggered') {
+        const rearmButton = document.createElement('button');
+        rearmButton.type = 'button';
+        rearmButton.className = 'item-remove';
+        rearmButton.textContent = '↻';
+        rearmButton.title = 'Re-arm alert';
+        rearmButton.addEventListener('click', () => handleRearmAlert(alert.id));
+        actions.appendChild(rearmButton);
+      }
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'item-remove';
+      removeButton.textContent = '×';
+      removeButton.title = 'Delete alert';
+      removeButton.addEventListener('click', () => handleDeleteAlert(alert.id));
+      actions.appendChild(removeButton);
+      
+      item.append(content, actions);
+      list.appendChild(item);
+    });
+}
+
+/**
+ * Re-arm a triggered alert; it fires again on the next crossing
+ */
+async function handleRearmAlert(id) {
+  try {
+    priceAlerts = priceAlerts.map(alert => alert.id === id
+      ? { ...alert, status: 'active', lastPrice: null, triggeredAt: null, triggerPrice: null }
+      : alert);
+    await chrome.storage.local.set({ priceAlerts });
+    
+    renderPriceAlerts();
+    showStatus('Alert re-armed', 'success');
+  } catch (error) {
+    console.error('Failed to re-arm alert:', error);
+    showStatus('Failed to re-arm alert', 'error');
+  }
+}
+
+/**
+ * Delete a price alert
+ */
+async function handleDeleteAlert(id) {
+  try {
+    priceAlerts = priceAlerts.filter(alert => alert.id !== id);
+    await chrome.storage.local.set({ priceAlerts });
+    
+    renderPriceAlerts();
+    showStatus('Alert deleted', 'success');
+  } catch (error) {
+    console.error('Failed to delete alert:', error);
+    showStatus('Failed to delete alert', 'error');
+  }
+}
+
+/**
+ * Load the trade journal from local storage
+ */
+async function loadTradeJournal() {
+  try {
+    const result = await chrome.storage.local.get({ tradeJournal: [] });
+    tradeJournal = Array.isArray(result.tradeJournal) ? result.tradeJournal : [];
+  } catch (error) {
+    console.error('Failed to load trade journal:', error);
+    showStatus('Failed to load trade journal', 'error');
+  }
+}
+
+/**
+ * Format American odds for display
+ */
+function formatAmericanOdds(odds) {
+  if (typeof odds !== 'number' || !isFinite(odds)) return '—';
+  
+  // Same rounding as the page: nearest 5, 1 or 0.1 per the precision setting
+  const step = parseFloat(currentSettings.americanPrecision) || 1;
+  const rounded = Math.round(Math.round(odds / step) * step * 10) / 10;
+  const text = step < 1 ? rounded.toFixed(1) : String(rounded);
+  return rounded > 0 ? `+${text}` : text;
+}
+
+/**
+ * Render journal entries matching the current filters, newest first
+ */
+function renderTradeJournal() {
+  const list = document.getElementById('journalList');
+  if (!list) return;
+  
+  const query = document.getElementById('journalFilter')?.value.trim().toLowerCase() || '';
+  const side = document.getElementById('journalSideFilter')?.value || '';
+  
+  const entries = tradeJournal
+    .filter(entry => !side || (entry.side || '').toUpperCase() === side)
+    .filter(entry => !query ||
+      (entry.marketTitle || '').toLowerCase().includes(query) ||
+      (entry.ticker || '').toLowerCase().includes(query))
+    .slice()
+    .reverse();
+  
+  list.innerHTML = '';
+  
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'journal-empty';
+    empty.textContent = tradeJournal.length === 0 ? 'No journal entries yet' : 'No entries match the filter';
+    list.appendChild(empty);
+    return;
+  }
+  
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    const content = document.createElement('div');
+    
+    const title = document.createElement(entry.url ? 'a' : 'span');
+    title.className = 'journal-entry-title';
+    title.textContent = entry.marketTitle || entry.ticker || 'Unknown market';
+    if (entry.url) {
+      title.href = entry.url;
+      title.target = '_blank';
+      title.rel = 'noopener';
+    }
+    
+    const price = typeof entry.price === 'number' ? `${Math.round(entry.price * 100)}¢` : '—';
+    const fee = typeof entry.totalFee === 'number' ? `$${entry.totalFee.toFixed(2)}` : '—';
+    const feeSource = entry.feeSource ? ` (${entry.feeSource})` : '';
+    
+    const detail = document.createElement('span');
+    detail.className = 'journal-entry-detail';
+    detail.textContent = `${(entry.side || '?').toUpperCase()} ${entry.quantity ?? '?'} @ ${price} · fee ${fee}${feeSource} · ${formatAmericanOdds(entry.afterFeeOdds)} after fees`;
+    
+    const meta = document.createElement('span');
+    meta.className = 'journal-entry-detail';
+    meta.textContent = `${entry.ticker || ''} ${new Date(entry.timestamp).toLocaleString()}`.trim();
+    
+    content.append(title, detail, meta);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'item-remove';
+    removeButton.textContent = '×';
+    removeButton.title = 'Delete journal entry';
+    removeButton.addEventListener('click', () => handleDeleteJournalEntry(entry.id));
+    
+    item.append(content, removeButton);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Delete a single journal entry
+ */
+async function handleDeleteJournalEntry(id) {
+  try {
+    tradeJournal = tradeJournal.filter(entry => entry.id !== id);
+    await chrome.storage.local.set({ tradeJournal });
+    
+    renderTradeJournal();
+    showStatus('Journal entry deleted', 'success');
+  } catch (error) {
+    console.error('Failed to delete journal entry:', error);
+    showStatus('Failed to delete journal entry', 'error');
+  }
+}
+
+/**
+ * Reset the clear button after its confirmation window lapses or the journal is cleared
+ */
+function resetClearJournalButton() {
+  clearTimeout(clearJournalConfirmTimer);
+  clearJournalConfirmTimer = null;
+  
+  const button = document.getElementById('clearJournal');
+  if (button) {
+    button.textContent = 'Clear';
+    button.removeAttribute('data-confirming');
+  }
+}
+
+/**
+ * Delete every journal entry; the first click arms the button and a second click confirms
+ */
+async function handleClearJournal() {
+  if (tradeJournal.length === 0) return;
+  
+  if (!clearJournalConfirmTimer) {
+    const button = document.getElementById('clearJournal');
+    button.textContent = `Delete ${tradeJournal.length}?`;
+    button.setAttribute('data-confirming', '1');
+    clearJournalConfirmTimer = setTimeout(resetClearJournalButton, CLEAR_CONFIRM_WINDOW_MS);
+    return;
+  }
+  
+  resetClearJournalButton();
+  
+  try {
+    tradeJournal = [];
+    await chrome.storage.local.set({ tradeJournal });
+    
+    renderTradeJournal();
+    showStatus('Trade journal cleared', 'success');
+  } catch (error) {
+    console.error('Failed to clear journal:', error);
+    showStatus('Failed to clear journal', 'error');
+  }
+}
+
+// Identifies files produced by the export so imports can reject unrelated JSON
+const EXPORT_FORMAT = 'kalshi-american-odds-export';
+const EXPORT_VERSION = 1;
+
+// Column order for CSV exports; each record type uses a subset. Alerts, sportsbook lines,
+// fee calibration and preferences keep their fields as JSON in the data column
+const CSV_COLUMNS = [
+  'record_type', 'key', 'value', 'taker_rate', 'maker_rate', 'updated_at',
+  'timestamp', 'market_title', 'ticker', 'side', 'price', 'quantity',
+  'total_fee', 'per_contract_fee', 'fee_source', 'after_fee_odds', 'url', 'data'
+];
+
+// Single-value local preferences exported as 'preference' records
+const EXPORT_PREFERENCE_KEYS = ['kellyPreferences', 'orderBudget', 'comparisonRate'];
+
+/**
+ * Read all extension-owned data from storage
+ */
+async function collectExportData() {
+  const [settings, local] = await Promise.all([
+    chrome.storage.sync.get(defaultSettings),
+    chrome.storage.local.get({
+      marketEstimates: {},
+      feeOverrides: {},
+      watchlist: {},
+      tradeJournal: [],
+      priceAlerts: [],
+      bookLines: {},
+      feeCalibration: [],
+      calibratedFeeRates: {},
+      kellyPreferences: null,
+      orderBudget: null,
+      comparisonRate: null
+    })
+  ]);
+  
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: Object.fromEntries(Object.keys(defaultSettings).map(key => [key, settings[key]])),
+    marketEstimates: local.marketEstimates,
+    feeOverrides: local.feeOverrides,
+    watchlist: local.watchlist,
+    tradeJournal: local.tradeJournal,
+    priceAlerts: local.priceAlerts,
+    bookLines: local.bookLines,
+    feeCalibration: local.feeCalibration,
+    calibratedFeeRates: local.calibratedFeeRates,
+    preferences: Object.fromEntries(EXPORT_PREFERENCE_KEYS.map(key => [key, local[key]]))
+  };
+}
+
+/**
+ * Flatten export data into one CSV row object per record
+ */
+function exportDataToCsvRows(data) {
+  const rows = [];
+  
+  Object.entries(data.settings).forEach(([key, value]) => {
+    // Ordered lists (multi-format displayMode) are written as pipe-separated values
+    rows.push({ record_type: 'setting', key, value: Array.isArray(value) ? value.join('|') : value });
+  });
+  
+  Object.entries(data.marketEstimates).forEach(([ticker, estimate]) => {
+    rows.push({ record_type: 'estimate', key: ticker, value: estimate.probability, updated_at: estimate.updatedAt });
+  });
+  
+  Object.entries(data.feeOverrides).forEach(([series, override]) => {
+    rows.push({ record_type: 'feeOverride', key: series, taker_rate: override.taker, maker_rate: override.maker, updated_at: override.updatedAt });
+  });
+  
+  Object.values(data.watchlist).forEach(item => {
+    rows.push({
+      record_type: 'watchlist',
+      key: item.ticker,
+      market_title: item.title,
+      url: item.url,
+      updated_at: item.addedAt,
+      price: item.lastPrice,
+      timestamp: item.lastSeenAt
+    });
+  });
+  
+  data.tradeJournal.forEach(entry => {
+    rows.push({
+      record_type: 'journal',
+      key: entry.id,
+      timestamp: entry.timestamp,
+      market_title: entry.marketTitle,
+      ticker: entry.ticker,
+      side: entry.side,
+      price: entry.price,
+      quantity: entry.quantity,
+      total_fee: entry.totalFee,
+      per_contract_fee: entry.perContractFee,
+      fee_source: entry.feeSource,
+      after_fee_odds: entry.afterFeeOdds,
+      url: entry.url
+    });
+  });
+  
+  data.priceAlerts.forEach(alert => {
+    rows.push({ record_type: 'alert', key: alert.id, ticker: alert.ticker, data: JSON.stringify(alert) });
+  });
+  
+  Object.entries(data.bookLines).forEach(([ticker, lines]) => {
+    lines.forEach(line => {
+      rows.push({ record_type: 'bookLine', key: line.id, ticker, data: JSON.stringify(line) });
+    });
+  });
+  
+  data.feeCalibration.forEach(record => {
+    rows.push({ record_type: 'feeCalibration', key: record.seriesTicker, timestamp: record.recordedAt, data: JSON.stringify(record) });
+  });
+  
+  Object.entries(data.calibratedFeeRates).forEach(([series, rates]) => {
+    rows.push({ record_type: 'calibratedRate', key: series, data: JSON.stringify(rates) });
+  });
+  
+  Object.entries(data.preferences).forEach(([key, value]) => {
+    rows.push({ record_type: 'preference', key, data: JSON.stringify(value) });
+  });
+  
+  return rows;
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize row objects to CSV text using CSV_COLUMNS
+ */
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(CSV_COLUMNS.map(column => escapeCsvField(row[column])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * Parse CSV text into arrays of fields (RFC 4180 quoting)
+ * @returns {Array<{line: number, fields: string[]}>} Non-empty rows with their starting line number
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value !== '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+  
+  return rows;
+}
+
+/**
+ * Convert a CSV cell to a number; empty cells become null, bad input NaN
+ */
+function parseCsvNumber(text) {
+  if (text === undefined || text.trim() === '') return null;
+  return Number(text);
+}
+
+/**
+ * Convert a CSV setting cell back to its stored type
+ */
+function parseCsvSettingValue(text) {
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text.includes('|')) return text.split('|').map(value => value.trim());
+  return text;
+}
+
+/**
+ * Parse a CSV data cell holding a JSON-encoded record; bad JSON becomes undefined and fails validation
+ */
+function parseCsvData(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Convert CSV text into normalized import records
+ */
+function csvToImportRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+  
+  const columns = header.fields.map(name => name.trim());
+  if (!columns.includes('record_type') || !columns.includes('key')) {
+    throw new Error('CSV header must include record_type and key columns');
+  }
+  
+  return rows.map(({ line, fields }) => {
+    const cell = Object.fromEntries(columns.map((name, index) => [name, fields[index] ?? '']));
+    const record = { source: `Row ${line}`, type: cell.record_type.trim(), key: cell.key.trim() };
+    
+    switch (record.type) {
+      case 'setting':
+        record.value = parseCsvSettingValue(cell.value);
+        break;
+      case 'estimate':
+        record.value = { probability: parseCsvNumber(cell.value), updatedAt: parseCsvNumber(cell.updated_at) };
+        break;
+      case 'feeOverride':
+        record.value = { taker: parseCsvNumber(cell.taker_rate), maker: parseCsvNumber(cell.maker_rate), updatedAt: parseCsvNumber(cell.updated_at) };
+        break;
+      case 'watchlist':
+        record.value = {
+          title: cell.market_title || null,
+          url: cell.url || null,
+          addedAt: parseCsvNumber(cell.updated_at),
+          lastPrice: parseCsvNumber(cell.price),
+          lastSeenAt: parseCsvNumber(cell.timestamp)
+        };
+        break;
+      case 'journal':
+        record.value = {
+          timestamp: parseCsvNumber(cell.timestamp),
+          marketTitle: cell.market_title || null,
+          ticker: cell.ticker || null,
+          side: cell.side,
+          price: parseCsvNumber(cell.price),
+          quantity: parseCsvNumber(cell.quantity),
+          totalFee: parseCsvNumber(cell.total_fee),
+          perContractFee: parseCsvNumber(cell.per_contract_fee),
+          feeSource: cell.fee_source || null,
+          afterFeeOdds: parseCsvNumber(cell.after_fee_odds),
+          url: cell.url || null
+        };
+        break;
+      case 'alert':
+      case 'bookLine':
+        record.value = { ...parseCsvData(cell.data), ticker: cell.ticker.trim() };
+        break;
+      case 'feeCalibration':
+      case 'calibratedRate':
+      case 'preference':
+        record.value = parseCsvData(cell.data);
+        break;
+    }
+    
+    return record;
+  });
+}
+
+/**
+ * Convert an exported JSON document into normalized import records
+ */
+function jsonToImportRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('Not a Kalshi American Odds export file');
+  }
+  
+  const records = [];
+  
+  Object.entries(data.settings || {}).forEach(([key, value]) => {
+    records.push({ source: `settings.${key}`, type: 'setting', key, value });
+  });
+  
+  Object.entries(data.marketEstimates || {}).forEach(([key, value]) => {
+    records.push({ source: `marketEstimates.${key}`, type: 'estimate', key, value });
+  });
+  
+  Object.entries(data.feeOverrides || {}).forEach(([key, value]) => {
+    records.push({ source: `feeOverrides.${key}`, type: 'feeOverride', key, value });
+  });
+  
+  Object.entries(data.watchlist || {}).forEach(([key, value]) => {
+    records.push({ source: `watchlist.${key}`, type: 'watchlist', key, value });
+  });
+  
+  (Array.isArray(data.tradeJournal) ? data.tradeJournal : []).forEach((entry, index) => {
+    records.push({ source: `tradeJournal #${index + 1}`, type: 'journal', key: entry?.id, value: entry });
+  });
+  
+  (Array.isArray(data.priceAlerts) ? data.priceAlerts : []).forEach((alert, index) => {
+    records.push({ source: `priceAlerts #${index + 1}`, type: 'alert', key: alert?.id, value: alert });
+  });
+  
+  Object.entries(data.bookLines || {}).forEach(([ticker, lines]) => {
+    (Array.isArray(lines) ? lines : []).forEach((line, index) => {
+      records.push({ source: `bookLines.${ticker} #${index + 1}`, type: 'bookLine', key: line?.id, value: { ...line, ticker } });
+    });
+  });
+  
+  (Array.isArray(data.feeCalibration) ? data.feeCalibration : []).forEach((record, index) => {
+    records.push({ source: `feeCalibration #${index + 1}`, type: 'feeCalibration', key: record?.seriesTicker, value: record });
+  });
+  
+  Object.entries(data.calibratedFeeRates || {}).forEach(([key, value]) => {
+    records.push({ source: `calibratedFeeRates.${key}`, type: 'calibratedRate', key, value });
+  });
+  
+  Object.entries(data.preferences || {}).forEach(([key, value]) => {
+    records.push({ source: `preferences.${key}`, type: 'preference', key, value });
+  });
+  
+  return records;
+}
+
+/**
+ * Trigger a file download from the popup
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export all extension data as JSON or CSV
+ */
+async function handleExport(format) {
+  try {
+    const data = await collectExportData();
+    const stamp = new Date().toISOString().slice(0, 10);
+    const content = format === 'csv' ? toCsv(exportDataToCsvRows(data)) : JSON.stringify(data, null, 2);
+    
+    if (format === 'csv') {
+      downloadFile(`kalshi-odds-${stamp}.csv`, content, 'text/csv');
+    } else {
+      downloadFile(`kalshi-odds-${stamp}.json`, content, 'application/json');
+    }
+    
+    // Round-trip the file through the importer's validation so a file that won't re-import is flagged now
+    const records = format === 'csv' ? csvToImportRecords(content) : jsonToImportRecords(content);
+    const check = await chrome.runtime.sendMessage({ type: 'IMPORT_DATA', records, dryRun: true });
+    renderImportErrors(check?.errors || []);
+    
+    if (check?.success && check.skipped > 0) {
+      showStatus(`Exported ${format.toUpperCase()}, but ${check.skipped} record${check.skipped === 1 ? '' : 's'} would not re-import`, 'error');
+    } else {
+      showStatus(`Exported ${format.toUpperCase()}`, 'success');
+    }
+  } catch (error) {
+    console.error('Failed to export data:', error);
+    showStatus('Failed to export data', 'error');
+  }
+}
+
+/**
+ * Render row-level import errors
+ */
+function renderImportErrors(errors) {
+  const list = document.getElementById('importErrors');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  errors.forEach(({ source, message }) => {
+    const item = document.createElement('li');
+    item.textContent = `${source}: ${message}`;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Import a JSON or CSV export file
+ */
+async function handleImport() {
+  const fileInput = document.getElementById('importFile');
+  const file = fileInput?.files?.[0];
+  
+  if (!file) {
+    showStatus('Choose a file to import', 'error');
+    return;
+  }
+  
+  renderImportErrors([]);
+  
+  try {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{');
+    const records = isJson ? jsonToImportRecords(text) : csvToImportRecords(text);
+    const mode = document.getElementById('importReplace')?.checked ? 'replace' : 'merge';
+    
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_DATA', records, mode });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Import failed');
+    }
+    
+    renderImportErrors(response.errors);
+    
+    await loadSettings();
+    await loadMarketEstimates();
+    await loadFeeOverrides();
+    await loadTradeJournal();
+    await loadWatchlist();
+    await loadPriceAlerts();
+    await loadOrderBudget();
+    await loadComparisonRate();
+    await loadFeeCalibration();
+    updateUI();
+    renderMarketEstimates();
+    renderFeeOverrides();
+    renderTradeJournal();
+    renderWatchlist();
+    renderPriceAlerts();
+    renderOrderBudget();
+    renderComparisonRate();
+    renderFeeCalibration();
+    
+    const summary = `Imported ${response.imported} record${response.imported === 1 ? '' : 's'}`;
+    if (response.skipped > 0) {
+      showStatus(`${summary}, ${response.skipped} rejected`, 'error');
+    } else {
+      showStatus(summary, 'success');
+    }
+  } catch (error) {
+    console.error('Failed to import data:', error);
+    renderImportErrors([{ source: file.name, message: error.message }]);
+    showStatus('Import failed', 'error');
+  }
+}
+
 /**
  * Show status message with improved styling
  */